@@ -0,0 +1,185 @@
+/*
+Program name: address.js
+Author: Muhammad Adnan
+Date created: December 14, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: ZIP code lookup with city/state autofill and USPS address-line abbreviations
+
+zipcodes.json groups ZIP codes by state and city: { "states": { "TX": { "Houston": ["77001", ...] } } }
+*/
+
+// ZIP code -> { city, state }, built once zipcodes.json has loaded
+let zipIndex = null;
+
+// USPS street suffix abbreviations (Publication 28, Appendix C1)
+const STREET_SUFFIXES = {
+    street: 'St', avenue: 'Ave', road: 'Rd', drive: 'Dr', lane: 'Ln', boulevard: 'Blvd',
+    court: 'Ct', circle: 'Cir', place: 'Pl', parkway: 'Pkwy', highway: 'Hwy', terrace: 'Ter',
+    trail: 'Trl', square: 'Sq', expressway: 'Expy', freeway: 'Fwy', crossing: 'Xing',
+    point: 'Pt', plaza: 'Plz', center: 'Ctr', heights: 'Hts', junction: 'Jct', mountain: 'Mtn',
+    ridge: 'Rdg', turnpike: 'Tpke', cove: 'Cv', creek: 'Crk', crescent: 'Cres', estates: 'Est',
+    garden: 'Gdn', gardens: 'Gdns', grove: 'Grv', harbor: 'Hbr', hollow: 'Holw', island: 'Is',
+    lake: 'Lk', landing: 'Lndg', loop: 'Loop', manor: 'Mnr', meadows: 'Mdws', mount: 'Mt',
+    park: 'Park', pike: 'Pike', run: 'Run', spring: 'Spg', springs: 'Spgs', station: 'Sta',
+    valley: 'Vly', view: 'Vw', village: 'Vlg', way: 'Way'
+};
+
+// USPS secondary unit designators that take a number (Publication 28, Appendix C2)
+const UNIT_DESIGNATORS = {
+    apartment: 'Apt', suite: 'Ste', building: 'Bldg', floor: 'Fl', room: 'Rm', unit: 'Unit',
+    department: 'Dept', lot: 'Lot', space: 'Spc', trailer: 'Trlr', hangar: 'Hngr', pier: 'Pier',
+    slip: 'Slip', stop: 'Stop', key: 'Key'
+};
+
+const DIRECTIONALS = {
+    north: 'N', south: 'S', east: 'E', west: 'W',
+    northeast: 'NE', northwest: 'NW', southeast: 'SE', southwest: 'SW'
+};
+
+// Load the ZIP data and wire autofill when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    loadZipCodes();
+    initializeAddressFields();
+});
+
+async function loadZipCodes() {
+    try {
+        const config = await siteConfigReady;
+        const response = await fetch(config.optionSources.zipCodes);
+        if (!response.ok) {
+            throw new Error('Failed to load ZIP codes');
+        }
+        const data = await response.json();
+
+        zipIndex = {};
+        Object.keys(data.states).forEach(state => {
+            const cities = data.states[state];
+            Object.keys(cities).forEach(city => {
+                cities[city].forEach(zip => {
+                    zipIndex[zip] = { city: city, state: state };
+                });
+            });
+        });
+
+        // A ZIP typed or restored before the data arrived can be checked now
+        const zipField = getFieldSchema('zip');
+        if (getFieldValue(zipField)) {
+            validateSchemaField(zipField);
+        }
+    } catch (error) {
+        // Without the data the form still works; only autofill and the state cross-check are skipped
+        console.error('Error loading ZIP codes:', error);
+    }
+}
+
+// City and state for a 5-digit ZIP or ZIP+4, or null when unknown (or the data hasn't loaded)
+function lookupZip(zip) {
+    if (!zipIndex || !zip) return null;
+    return zipIndex[zip.substr(0, 5)] || null;
+}
+
+function initializeAddressFields() {
+    const zipInput = document.getElementById('zip');
+    const cityInput = document.getElementById('city');
+    const stateSelect = document.getElementById('state');
+
+    zipInput.addEventListener('input', function() {
+        autofillFromZip(this.value);
+    });
+
+    // Typing a city or picking a state by hand stops autofill from replacing it
+    cityInput.addEventListener('input', function() {
+        delete this.dataset.autofilled;
+    });
+    stateSelect.addEventListener('change', function() {
+        delete this.dataset.autofilled;
+        // The ZIP may now match (or no longer match) the state
+        if (zipInput.value) {
+            validateSchemaField(getFieldSchema('zip'));
+        }
+    });
+
+    ['address1', 'address2'].forEach(id => {
+        document.getElementById(id).addEventListener('blur', function() {
+            const normalized = normalizeAddressLine(this.value);
+            if (normalized !== this.value) {
+                this.value = normalized;
+                validateSchemaField(getFieldSchema(id));
+                saveToDraft(id, this.value);
+            }
+        });
+    });
+}
+
+// Fill in city and state for a known ZIP, unless the user has entered their own
+function autofillFromZip(zip) {
+    if (!/^\d{5}(-\d{4})?$/.test(zip)) return;
+    const match = lookupZip(zip);
+    if (!match) return;
+
+    const cityInput = document.getElementById('city');
+    const stateSelect = document.getElementById('state');
+
+    if (!cityInput.value || cityInput.dataset.autofilled) {
+        cityInput.value = match.city;
+        cityInput.dataset.autofilled = 'true';
+        validateSchemaField(getFieldSchema('city'));
+        saveToDraft('city', match.city);
+    }
+
+    if (!stateSelect.value || stateSelect.dataset.autofilled) {
+        stateSelect.value = match.state;
+        stateSelect.dataset.autofilled = 'true';
+        validateSchemaField(getFieldSchema('state'));
+        saveToDraft('state', match.state);
+    }
+
+    // Re-check the ZIP against the (possibly new) state
+    validateSchemaField(getFieldSchema('zip'));
+}
+
+// Rewrite an address line with USPS abbreviations, e.g. "12 North Oak Street Apartment 4" -> "12 N Oak St Apt 4"
+function normalizeAddressLine(line) {
+    const words = line.trim().split(/\s+/).filter(Boolean).map(word => word.replace(/\.$/, ''));
+    if (words.length === 0) return '';
+
+    // The secondary address starts at "#4" or a unit designator followed by a number or letter ("Apt 4B", "Suite C")
+    let unitIndex = words.findIndex((word, index) =>
+        word.startsWith('#') || (getAbbreviation(word, UNIT_DESIGNATORS) && /^#?(\w|\w*\d\w*)$/.test(words[index + 1] || ''))
+    );
+    if (unitIndex === -1) unitIndex = words.length;
+
+    const street = words.slice(0, unitIndex);
+    const unit = words.slice(unitIndex);
+
+    // Street words after the house number: [directional] name suffix [directional].
+    // A directional or suffix that is the street's only name is left spelled out ("North St", "Park Ave").
+    const first = street.length > 0 && /^\d/.test(street[0]) ? 1 : 0;
+    let last = street.length - 1;
+    if (last - first >= 2 && getAbbreviation(street[last], DIRECTIONALS) && getAbbreviation(street[last - 1], STREET_SUFFIXES)) {
+        street[last] = getAbbreviation(street[last], DIRECTIONALS);
+        last--;
+    }
+    if (last - first >= 1 && getAbbreviation(street[last], STREET_SUFFIXES)) {
+        street[last] = getAbbreviation(street[last], STREET_SUFFIXES);
+        if (last - first >= 2 && getAbbreviation(street[first], DIRECTIONALS)) {
+            street[first] = getAbbreviation(street[first], DIRECTIONALS);
+        }
+    }
+
+    if (unit.length > 0 && getAbbreviation(unit[0], UNIT_DESIGNATORS)) {
+        unit[0] = getAbbreviation(unit[0], UNIT_DESIGNATORS);
+    }
+
+    return street.concat(unit).join(' ');
+}
+
+// USPS abbreviation for a word, whether it was typed in full or already abbreviated; null when it has none
+function getAbbreviation(word, abbreviations) {
+    const lower = word.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(abbreviations, lower)) {
+        return abbreviations[lower];
+    }
+    return Object.values(abbreviations).find(abbr => abbr.toLowerCase() === lower) || null;
+}
@@ -0,0 +1,383 @@
+/*
+Program name: draft-store.js
+Author: Muhammad Adnan
+Date created: December 12, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Encrypted, namespaced draft storage for patient-form (AES-GCM via Web Crypto, 48-hour expiry)
+
+There is one draft normally. Kiosk mode (kiosk.js) keeps one draft per patient, each under its own key, and
+switches between them with useDraftSlot.
+
+The session key is kept in sessionStorage, which each tab has its own copy of, so a tab without it asks the other
+open tabs for it over a BroadcastChannel. A draft that no open tab has the key for is left alone (loadDraft reports
+it as unavailable); it is only removed when it expires or the user discards it.
+*/
+
+// All keys this app writes to localStorage/sessionStorage start with this prefix
+const STORAGE_NAMESPACE = 'werdocs:';
+const DRAFT_KEY = STORAGE_NAMESPACE + 'draft';
+// Kiosk drafts are stored as werdocs:draft:<id>
+const DRAFT_SLOT_PREFIX = DRAFT_KEY + ':';
+const SESSION_KEY_NAME = STORAGE_NAMESPACE + 'session-key';
+
+// Bump when the shape of the saved draft changes; older drafts are discarded (2: dates as YYYY-MM-DD)
+const DRAFT_SCHEMA_VERSION = 2;
+
+// Drafts expire with the firstName cookie
+const DRAFT_TTL_HOURS = 48;
+
+const PBKDF2_ITERATIONS = 250000;
+
+// How long to wait for another tab to hand over the session key
+const SESSION_KEY_WAIT_MS = 300;
+
+// Plain-text keys the first version of the form wrote: one per input id, plus the radio groups and vaccination list
+const LEGACY_DRAFT_KEYS = [
+    'first-name', 'middle-initial', 'last-name', 'dob', 'address1', 'address2', 'city', 'state', 'zip',
+    'email', 'phone', 'userid', 'symptoms', 'health-rating', 'submit-button',
+    'male', 'female', 'other', 'vaccinated-yes', 'vaccinated-no', 'insurance-yes', 'insurance-no',
+    'covid19', 'flu', 'measles', 'chickenpox', 'smallpox', 'tetanus',
+    'gender', 'vaccinated', 'insurance', 'vaccinations'
+];
+// Set once those keys have been removed; kept when the user starts over
+const LEGACY_REMOVED_KEY = STORAGE_NAMESPACE + 'legacy-removed';
+
+// Key used for the current draft and how it was made
+let draftKey = null;
+let draftKeyType = 'session';
+let draftSalt = null;
+
+// Kiosk draft being edited (null for the single normal draft) and how long drafts are kept
+let draftSlotId = null;
+let draftTtlHours = DRAFT_TTL_HOURS;
+
+// Saves are chained so an older write can never overwrite a newer one
+let draftSaveQueue = Promise.resolve();
+
+// Other tabs of this site; a tab holding the session key hands it to one that asks
+const draftKeyChannel = 'BroadcastChannel' in window ? new BroadcastChannel('werdocs-draft-key') : null;
+// Answer to this tab's request for the session key (asked once per page)
+let sessionKeyRequest = null;
+
+if (draftKeyChannel) {
+    draftKeyChannel.addEventListener('message', function(event) {
+        const savedKey = sessionStorage.getItem(SESSION_KEY_NAME);
+        if (event.data.type === 'key-request' && savedKey) {
+            draftKeyChannel.postMessage({ type: 'key', key: savedKey });
+        }
+    });
+}
+
+// Namespaced storage key for app preferences (wizard step, etc.)
+function storageKey(name) {
+    return STORAGE_NAMESPACE + name;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Random key for the browser session, kept in sessionStorage so it is gone when the session ends.
+// Made on first use unless another open tab already has one.
+async function getSessionKey() {
+    const existingKey = await findSessionKey();
+    if (existingKey) return existingKey;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    sessionStorage.setItem(SESSION_KEY_NAME, JSON.stringify(await crypto.subtle.exportKey('jwk', key)));
+    return key;
+}
+
+// This tab's session key, or the one another open tab hands over; null when no tab has one
+async function findSessionKey() {
+    const savedKey = sessionStorage.getItem(SESSION_KEY_NAME) || await requestSessionKey();
+    if (!savedKey) return null;
+    sessionStorage.setItem(SESSION_KEY_NAME, savedKey);
+    return crypto.subtle.importKey('jwk', JSON.parse(savedKey), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+// Ask the other tabs for the session key; resolves to the saved key (JSON) or null when none answers in time
+function requestSessionKey() {
+    if (!draftKeyChannel) return Promise.resolve(null);
+    if (!sessionKeyRequest) {
+        sessionKeyRequest = new Promise(resolve => {
+            const timer = setTimeout(finish, SESSION_KEY_WAIT_MS, null);
+            function handleAnswer(event) {
+                if (event.data.type === 'key') finish(event.data.key);
+            }
+            function finish(key) {
+                clearTimeout(timer);
+                draftKeyChannel.removeEventListener('message', handleAnswer);
+                resolve(key);
+            }
+            draftKeyChannel.addEventListener('message', handleAnswer);
+            draftKeyChannel.postMessage({ type: 'key-request' });
+        });
+    }
+    return sessionKeyRequest;
+}
+
+// Key derived from a passphrase the patient chooses (PBKDF2-SHA-256)
+async function derivePassphraseKey(passphrase, salt) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Storage key of the draft being edited
+function getDraftStorageKey() {
+    return draftSlotId ? DRAFT_SLOT_PREFIX + draftSlotId : DRAFT_KEY;
+}
+
+// Read a stored record (the current draft by default) without decrypting it
+function readDraftRecord(recordKey = getDraftStorageKey()) {
+    const raw = localStorage.getItem(recordKey);
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+function isDraftExpired(record) {
+    return record.version !== DRAFT_SCHEMA_VERSION || Date.now() > record.expiresAt;
+}
+
+function decryptDraftRecord(record, key) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.data))
+        .then(plaintext => JSON.parse(new TextDecoder().decode(plaintext)));
+}
+
+// Describe the saved draft: null, or { keyType, updatedAt }
+function getDraftInfo() {
+    const record = readDraftRecord();
+    if (!record) return null;
+    if (isDraftExpired(record)) {
+        clearDraft();
+        return null;
+    }
+    return { keyType: record.keyType, updatedAt: record.updatedAt };
+}
+
+async function encryptDraft(values, recordKey) {
+    if (!draftKey) {
+        draftKey = await getSessionKey();
+        draftKeyType = 'session';
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(values));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, draftKey, plaintext);
+
+    const existing = readDraftRecord(recordKey);
+    const now = Date.now();
+
+    return {
+        version: DRAFT_SCHEMA_VERSION,
+        keyType: draftKeyType,
+        salt: draftSalt ? bytesToBase64(draftSalt) : null,
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(ciphertext)),
+        createdAt: existing && !isDraftExpired(existing) ? existing.createdAt : now,
+        updatedAt: now,
+        expiresAt: now + draftTtlHours * 60 * 60 * 1000
+    };
+}
+
+// Encrypt and save the whole draft (values is a plain { fieldId: value } object)
+function saveDraft(values) {
+    const snapshot = Object.assign({}, values);
+    // Taken now, so a save still queued when kiosk mode switches patients goes to the right draft
+    const recordKey = getDraftStorageKey();
+    draftSaveQueue = draftSaveQueue
+        .then(() => encryptDraft(snapshot, recordKey))
+        .then(record => localStorage.setItem(recordKey, JSON.stringify(record)))
+        .catch(error => console.error('Error saving draft:', error));
+    return draftSaveQueue;
+}
+
+// Load and decrypt the saved draft. Resolves to { values } on success, { locked: true } when a passphrase is needed,
+// { unavailable: true } when the session key it was saved with is in no open tab, or null when there is no usable draft.
+async function loadDraft() {
+    const record = readDraftRecord();
+    if (!record) return null;
+    if (isDraftExpired(record)) {
+        clearDraft();
+        return null;
+    }
+
+    if (record.keyType === 'passphrase') {
+        if (!draftKey || draftKeyType !== 'passphrase') {
+            return { locked: true };
+        }
+    } else {
+        // The session key only lives as long as the browser session; without it the draft can't be read here
+        const sessionKey = await findSessionKey();
+        if (!sessionKey) {
+            return { unavailable: true };
+        }
+        draftKey = sessionKey;
+        draftKeyType = 'session';
+    }
+
+    try {
+        return { values: await decryptDraftRecord(record, draftKey) };
+    } catch (error) {
+        // A wrong passphrase fails the AES-GCM tag check; keep the draft locked
+        if (record.keyType === 'passphrase') return { locked: true };
+        console.error('Error decrypting draft:', error);
+        return null;
+    }
+}
+
+// Encrypt any value with the session key (the offline outbox in submission.js uses this): { iv, data }
+async function sealWithSessionKey(value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, await getSessionKey(), plaintext);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+// Decrypt what sealWithSessionKey made, or null when no open tab has the session key
+async function openWithSessionKey(sealed) {
+    const sessionKey = await findSessionKey();
+    if (!sessionKey) return null;
+    return decryptDraftRecord(sealed, sessionKey);
+}
+
+// Unlock a passphrase-protected draft. Resolves to the draft values, or null if the passphrase is wrong.
+async function unlockDraft(passphrase) {
+    const record = readDraftRecord();
+    if (!record || record.keyType !== 'passphrase') return null;
+
+    draftSalt = base64ToBytes(record.salt);
+    draftKey = await derivePassphraseKey(passphrase, draftSalt);
+    draftKeyType = 'passphrase';
+
+    const result = await loadDraft();
+    if (!result || result.locked) {
+        draftKey = null;
+        draftKeyType = 'session';
+        draftSalt = null;
+        return null;
+    }
+    return result.values;
+}
+
+// Switch to a passphrase-derived key and re-encrypt the current draft with it
+async function setDraftPassphrase(passphrase, values) {
+    draftSalt = crypto.getRandomValues(new Uint8Array(16));
+    draftKey = await derivePassphraseKey(passphrase, draftSalt);
+    draftKeyType = 'passphrase';
+    return saveDraft(values);
+}
+
+// Remove the saved draft only
+function clearDraft() {
+    localStorage.removeItem(getDraftStorageKey());
+}
+
+// Kiosk drafts
+
+// Edit the kiosk draft with this id from now on (null goes back to the normal draft).
+// The new draft starts on the session key; a passphrase-protected one asks for its passphrase when loaded.
+function useDraftSlot(id) {
+    draftSlotId = id;
+    draftKey = null;
+    draftKeyType = 'session';
+    draftSalt = null;
+}
+
+function getDraftSlotId() {
+    return draftSlotId;
+}
+
+// How long drafts are kept after their last save (kiosk mode lets staff shorten it)
+function setDraftTtlHours(hours) {
+    draftTtlHours = hours;
+}
+
+// Every kiosk draft, newest first: [{ id, keyType, updatedAt }]. Expired drafts are removed on the way.
+function listDraftSlots() {
+    purgeExpiredDrafts();
+    return Object.keys(localStorage)
+        .filter(key => key.startsWith(DRAFT_SLOT_PREFIX))
+        .map(key => {
+            const record = readDraftRecord(key);
+            return record && { id: key.substring(DRAFT_SLOT_PREFIX.length), keyType: record.keyType, updatedAt: record.updatedAt };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Values of a kiosk draft for listing it, or null when it is passphrase-protected or can't be read
+async function peekDraftSlot(id) {
+    const record = readDraftRecord(DRAFT_SLOT_PREFIX + id);
+    if (!record || record.keyType !== 'session') return null;
+    const sessionKey = await findSessionKey();
+    if (!sessionKey) return null;
+    try {
+        return await decryptDraftRecord(record, sessionKey);
+    } catch (error) {
+        return null;
+    }
+}
+
+function deleteDraftSlot(id) {
+    localStorage.removeItem(DRAFT_SLOT_PREFIX + id);
+}
+
+// Remove kiosk drafts not saved within the keep time, and any that are unreadable or from an older version.
+// Drafts on a session key this tab doesn't have are kept like any other: another tab may still have it.
+function purgeExpiredDrafts() {
+    const cutoff = Date.now() - draftTtlHours * 60 * 60 * 1000;
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(DRAFT_SLOT_PREFIX))
+        .forEach(key => {
+            const record = readDraftRecord(key);
+            if (!record || isDraftExpired(record) || record.updatedAt < cutoff) {
+                localStorage.removeItem(key);
+            }
+        });
+}
+
+// Remove every namespaced key, leaving other apps on this origin alone
+function clearNamespacedStorage() {
+    [localStorage, sessionStorage].forEach(storage => {
+        Object.keys(storage)
+            .filter(key => key.startsWith(STORAGE_NAMESPACE) && key !== LEGACY_REMOVED_KEY)
+            .forEach(key => storage.removeItem(key));
+    });
+    sessionKeyRequest = null;
+    draftKey = null;
+    draftKeyType = 'session';
+    draftSalt = null;
+}
+
+// The first version stored each field as a plain localStorage entry; remove those once on this browser.
+// After that the names are left alone: other apps on the same origin may use them.
+function removeLegacyDraftKeys() {
+    if (localStorage.getItem(LEGACY_REMOVED_KEY)) return;
+    LEGACY_DRAFT_KEYS.forEach(key => localStorage.removeItem(key));
+    localStorage.setItem(LEGACY_REMOVED_KEY, '1');
+}
@@ -0,0 +1,169 @@
+/*
+Program name: event-log.js
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Privacy-safe event log of patient-form interactions, so support can see where patients get stuck
+
+Events name fields, sections and rule (reason) codes only, never what was typed. They are kept only while
+Remember Me is checked, sent in batches to api/events (or data-events-endpoint on patient-form; an empty value keeps
+them on the page), and can be exported with exportEventLog() or downloaded with the Download Activity Log button
+(downloadEventLog). Every event carries the type, the time and a random visit id (new for each page view and form
+reset) that says nothing about the patient:
+  field-focused      { field, section }
+  field-completed    { field }                    left the field with an answer that passes
+  validation-failed  { field, rule }              once per rule until the field passes again
+  section-time       { section, seconds }         from entering a section until focus moves to another one
+  review-opened      { errors }                   number of fields with errors
+  submit-attempted   { errors, fields }           ids of the fields with errors
+  submission         { outcome, fields, status }  accepted, queued, rejected (fields) or failed (HTTP status)
+  session-expired    {}
+*/
+
+// Event log settings
+const EVENT_LOG_CONFIG = {
+    endpoint: 'api/events',
+    batchSize: 20,
+    flushIntervalMs: 30 * 1000,
+    historyLimit: 1000
+};
+
+let eventVisitId = createRandomId();
+// Events still to be sent, and every event of this page view for export
+let eventQueue = [];
+let eventHistory = [];
+// Last failing rule logged for each field, so typing into a field doesn't repeat it
+let loggedFailures = {};
+let lastFocusedField = null;
+let currentSection = null;
+let sectionStartedAt = 0;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeEventLog();
+});
+
+function initializeEventLog() {
+    const form = document.getElementById('patient-form');
+    form.addEventListener('focusin', handleEventFocusIn);
+    form.addEventListener('focusout', handleEventFocusOut);
+
+    // A cleared form is the next visit (a kiosk's next patient)
+    form.addEventListener('reset', function() {
+        endSection();
+        eventVisitId = createRandomId();
+        loggedFailures = {};
+        lastFocusedField = null;
+    });
+
+    document.getElementById('event-log-button').addEventListener('click', () => downloadEventLog());
+
+    setInterval(() => flushEvents(false), EVENT_LOG_CONFIG.flushIntervalMs);
+    // Send what is left when the page goes away (the thank-you page, a closed tab)
+    window.addEventListener('pagehide', function() {
+        endSection();
+        flushEvents(true);
+    });
+}
+
+// Events follow the Remember Me consent
+function isEventLogAllowed() {
+    const rememberMe = document.getElementById('remember-me');
+    return Boolean(rememberMe && rememberMe.checked);
+}
+
+// Record one event; details must never include anything the patient typed
+function logEvent(type, details) {
+    if (!isEventLogAllowed()) return;
+
+    const event = Object.assign({ type: type, at: new Date().toISOString(), visit: eventVisitId }, details);
+    eventHistory.push(event);
+    if (eventHistory.length > EVENT_LOG_CONFIG.historyLimit) {
+        eventHistory.shift();
+    }
+    eventQueue.push(event);
+    if (eventQueue.length >= EVENT_LOG_CONFIG.batchSize) {
+        flushEvents(false);
+    }
+}
+
+// Log a validation result (true, false or a reason code) as the rule that failed
+function logValidationResult(fieldId, result) {
+    if (result === true) {
+        delete loggedFailures[fieldId];
+        return;
+    }
+    const rule = typeof result === 'string' ? result : 'invalid';
+    if (loggedFailures[fieldId] === rule) return;
+    loggedFailures[fieldId] = rule;
+    logEvent('validation-failed', { field: fieldId, rule: rule });
+}
+
+function handleEventFocusIn(e) {
+    const fieldset = e.target.closest('fieldset[data-section]');
+    if (fieldset && fieldset.dataset.section !== currentSection) {
+        endSection();
+        currentSection = fieldset.dataset.section;
+        sectionStartedAt = Date.now();
+    }
+
+    // Moving between the options of one radio group is still the same field
+    const field = getEventField(e.target);
+    if (field && field !== lastFocusedField) {
+        logEvent('field-focused', { field: field.id, section: field.section });
+    }
+    lastFocusedField = field;
+}
+
+function handleEventFocusOut(e) {
+    const field = getEventField(e.target);
+    if (field && getFieldValue(field) !== '' && !formErrors[field.id]) {
+        logEvent('field-completed', { field: field.id });
+    }
+}
+
+// Schema field an element belongs to (list rows and other helpers have none)
+function getEventField(element) {
+    return getFieldSchema(element.id) || getFieldSchema(element.name) || null;
+}
+
+function endSection() {
+    if (!currentSection) return;
+    logEvent('section-time', { section: currentSection, seconds: Math.round((Date.now() - sectionStartedAt) / 1000) });
+    currentSection = null;
+}
+
+function getEventsEndpoint() {
+    const form = document.getElementById('patient-form');
+    return form && 'eventsEndpoint' in form.dataset ? form.dataset.eventsEndpoint : EVENT_LOG_CONFIG.endpoint;
+}
+
+// Send the waiting events. When the page is being left, sendBeacon delivers them after it is gone.
+function flushEvents(leaving) {
+    if (!isEventLogAllowed()) {
+        eventQueue = [];
+        return;
+    }
+    const endpoint = getEventsEndpoint();
+    if (!endpoint || eventQueue.length === 0) return;
+
+    const body = JSON.stringify({ events: eventQueue });
+    eventQueue = [];
+
+    if (leaving && navigator.sendBeacon) {
+        navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+        return;
+    }
+    fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: body, keepalive: true })
+        .catch(error => console.error('Error sending events:', error));
+}
+
+// Every event of this page view as JSON
+function exportEventLog() {
+    return JSON.stringify({ events: eventHistory }, null, 2);
+}
+
+function downloadEventLog() {
+    const blob = new Blob([exportEventLog()], { type: 'application/json' });
+    downloadFile(blob, `event-log-${new Date().toISOString().substr(0, 10)}.json`);
+}
@@ -0,0 +1,164 @@
+/*
+Program name: form-rules.js
+Author: Muhammad Adnan
+Date created: December 17, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Conditional logic for patient-form: show, hide, require or relax fields based on other answers
+
+The rules live in the schema (FORM_BLOCKS, and showIf/requiredIf on fields). A hidden field is not validated,
+saved, reviewed or submitted; its value stays on the page in case the answer that hid it is changed back.
+Sections left out of the site configuration (site-config.js) are taken out of FORM_SECTIONS and hidden the same way.
+*/
+
+// Whether each field was active the last time the rules ran, so changes can be acted on
+const fieldActiveState = {};
+
+// The registration API needs the patient's name, email and user ID, so these sections can't be turned off
+const REQUIRED_SECTIONS = ['personal', 'contact', 'account'];
+
+// Apply the rules once the page is ready and again after every answer
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('patient-form');
+    form.addEventListener('input', applyFormRules);
+    form.addEventListener('change', applyFormRules);
+    form.addEventListener('reset', function() {
+        // Let the reset finish so the rules see the cleared answers
+        setTimeout(applyFormRules, 0);
+    });
+
+    applyFormRules();
+    siteConfigReady.then(applyEnabledSections);
+});
+
+// Drop the sections the site configuration turns off from FORM_SECTIONS and the page
+function applyEnabledSections(config) {
+    const enabled = config.sections.concat(REQUIRED_SECTIONS);
+    for (let i = FORM_SECTIONS.length - 1; i >= 0; i--) {
+        if (!enabled.includes(FORM_SECTIONS[i].id)) {
+            FORM_SECTIONS.splice(i, 1);
+        }
+    }
+
+    document.querySelectorAll('#patient-form fieldset[data-section]').forEach(fieldset => {
+        fieldset.hidden = !isSectionEnabled(fieldset.dataset.section);
+    });
+    applyFormRules();
+}
+
+function isSectionEnabled(sectionId) {
+    return FORM_SECTIONS.some(section => section.id === sectionId);
+}
+
+// Current answer to every field, by field id (what the showIf/requiredIf functions receive)
+function getFormAnswers() {
+    const answers = {};
+    FORM_FIELDS.forEach(field => {
+        answers[field.id] = getFieldValue(field);
+    });
+    return answers;
+}
+
+// Whole years since a date of birth typed in the current language, or null when it isn't a valid date
+function getAgeFromDob(dob) {
+    const birthDate = parseLocalDate(dob);
+    if (!birthDate) return null;
+
+    const today = new Date();
+    let age = today.getFullYear() - birthDate.getFullYear();
+    if (today.getMonth() < birthDate.getMonth() ||
+        (today.getMonth() === birthDate.getMonth() && today.getDate() < birthDate.getDate())) {
+        age--;
+    }
+    return age;
+}
+
+function isMinor(dob) {
+    const age = getAgeFromDob(dob);
+    return age !== null && age >= 0 && age < 18;
+}
+
+// A field is active when its section, its block (if any) and the field itself are shown
+function isFieldActive(field, answers) {
+    if (!isSectionEnabled(field.section)) return false;
+    const current = answers || getFormAnswers();
+    if (field.block) {
+        const block = FORM_BLOCKS.find(block => block.id === field.block);
+        if (block && !block.showIf(current)) return false;
+    }
+    return field.showIf ? field.showIf(current) : true;
+}
+
+// Whether a field needs a value right now (its rule wins over the fixed required flag)
+function isFieldRequired(field, answers) {
+    if (field.requiredIf) {
+        return field.requiredIf(answers || getFormAnswers());
+    }
+    return !!field.required;
+}
+
+// Show or hide blocks and fields, mark required fields, and drop newly hidden fields from errors and the draft
+function applyFormRules() {
+    const answers = getFormAnswers();
+
+    FORM_BLOCKS.forEach(block => {
+        document.getElementById(block.id).hidden = !block.showIf(answers);
+    });
+
+    FORM_FIELDS.forEach(field => {
+        const active = isFieldActive(field, answers);
+
+        // Fields with their own rule are hidden one row at a time
+        if (field.showIf) {
+            getFieldContainer(field).hidden = !active;
+        }
+        if (field.requiredIf) {
+            updateRequiredMarker(field, isFieldRequired(field, answers));
+        }
+
+        const wasActive = fieldActiveState[field.id];
+        fieldActiveState[field.id] = active;
+
+        if (!active && formErrors[field.id]) {
+            clearFieldError(field);
+        } else if (active && field.requiredIf && formErrors[field.id]) {
+            // The requirement may have just been lifted
+            validateSchemaField(field);
+        }
+
+        if (wasActive === undefined || wasActive === active || !field.persist) return;
+        if (active) {
+            // Shown again: keep what is still on the page
+            saveToDraft(field.id, getFieldValue(field));
+        } else {
+            removeFromDraft(field.id);
+        }
+    });
+
+    checkFormValidity();
+}
+
+// Table row holding a field, hidden along with the field
+function getFieldContainer(field) {
+    return getAriaTarget(field.id).closest('tr');
+}
+
+// Show the red asterisk and set aria-required only while the rule requires the field
+function updateRequiredMarker(field, required) {
+    const marker = document.querySelector(`#${field.id}-label .required, label[for="${field.id}"] .required`);
+    if (marker) marker.hidden = !required;
+
+    const target = getAriaTarget(field.id);
+    if (target && field.type !== 'checkbox') {
+        target.setAttribute('aria-required', required ? 'true' : 'false');
+    }
+}
+
+// Remove a hidden field's error without marking it as passed
+function clearFieldError(field) {
+    showSuccess(field.id);
+    const element = document.getElementById(field.id);
+    if (element) element.classList.remove('input-success');
+    delete formErrors[field.id];
+    delete formErrorReasons[field.id];
+}
@@ -0,0 +1,436 @@
+/*
+Program name: form-schema.js
+Author: Muhammad Adnan
+Date created: December 10, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Single field schema for patient-form that drives validation wiring, submit gating, review and saved data
+*/
+
+// Form sections in display order (used by the review panel)
+const FORM_SECTIONS = [
+    { id: 'personal', title: 'Personal Information' },
+    { id: 'address', title: 'Address Information' },
+    { id: 'contact', title: 'Contact Information' },
+    { id: 'medical', title: 'Medical History' },
+    { id: 'additional', title: 'Additional Information' },
+    { id: 'account', title: 'Account Information' }
+];
+
+// Groups of fields shown together when an answer calls for them (see form-rules.js).
+// showIf receives the current answers by field id; the block's element id is the block id.
+const FORM_BLOCKS = [
+    // Patients under 18 need a parent or guardian on file
+    { id: 'guardian-details', showIf: answers => isMinor(answers.dob) },
+    { id: 'insurance-details', showIf: answers => answers.insurance === 'yes' }
+];
+
+// Area code and exchange rules shared by every phone number field
+const PHONE_REASONS = {
+    invalidAreaCode: 'Area code cannot start with 0 or 1 or be a service code like 911',
+    invalidExchange: 'The middle three digits cannot start with 0 or 1 or be a service code like 411',
+    fictional: '555-01XX numbers are reserved and cannot be reached',
+    international: 'Only US and Canadian (+1) phone numbers can be entered'
+};
+
+// One entry per form field. Supported keys:
+//   id        - element id (or input name for radio/checkbox groups)
+//   label     - text shown in the review panel (English; translated with the key fields.<id>.label)
+//   section   - one of the FORM_SECTIONS ids
+//   type      - 'text' (default), 'date', 'select', 'textarea', 'range', 'radio', 'checkbox' or 'list'
+//   required  - field must have a value before submit is enabled
+//   validator - function(value, context) returning true, false, or a reason code string when invalid
+//               (the rules are in validation-core.mjs; context is described there)
+//   pattern   - RegExp used when no validator is given
+//   message   - error message shown in the error span and the review panel (key fields.<id>.message)
+//   reasons   - messages for the validator's reason codes (key fields.<id>.reasons.<code>)
+//   asyncValidator - function(value, context, signal) resolving to true, false, a reason code, or null when the
+//               check could not be made; runs once the validator passes and typing pauses (see remote-checks.js)
+//   asyncDependsOn - ids of other fields whose answers the asyncValidator also uses; changing them re-runs it
+//   lowercase - convert the value to lowercase on blur
+//   persist   - save to the draft when Remember Me is checked
+//   sensitive - cleared from the form when the session locks
+//   submit    - false to leave the field out of the submission payload
+//   serialize - converts the value for the submission payload
+//   mask      - show the value as asterisks in the review panel
+//   emptyText - review text used when an optional field is blank
+//   suffix    - text appended to the value in the review panel
+//   outputId  - element that mirrors the value (range sliders)
+//   options   - { value, label } choices of a select, so the review can show the label
+//   block     - FORM_BLOCKS id; the field is hidden (and skipped) while its block is
+//   showIf    - function(answers) returning whether the field is shown; its table row is hidden otherwise
+//   requiredIf - function(answers) returning whether the field is required (used instead of required)
+//   summary   - false to leave the field off the printed summary, 'last4' to show only its last four digits
+//               (masked fields are left off unless this is set)
+// 'list' fields are repeatable sub-forms whose value is an array of row objects (see medical-history.js):
+//   columns   - one entry per cell: { id, label, type: 'text' | 'select' | 'date' | 'year' | 'option', required, options, maxlength }
+//   itemLabel - what one row is called ("Medication 2: Dose is required")
+//   addLabel  - text of the add-row button
+//   rowsFrom  - checkbox field whose checked options give the rows, instead of add/remove buttons
+const FORM_FIELDS = [
+    // Personal Information
+    {
+        id: 'first-name', label: 'First Name', section: 'personal', required: true,
+        validator: ValidationCore.validateFirstName,
+        message: 'First name must be 1-30 characters, letters, apostrophes, and dashes only',
+        persist: true
+    },
+    {
+        id: 'middle-initial', label: 'Middle Initial', section: 'personal',
+        validator: ValidationCore.validateMiddleInitial,
+        message: 'Middle initial must be a single letter (optional)',
+        persist: true, emptyText: 'Not provided'
+    },
+    {
+        id: 'last-name', label: 'Last Name', section: 'personal', required: true,
+        validator: ValidationCore.validateLastName,
+        message: 'Last name must be 1-30 characters, letters, apostrophes, and dashes only',
+        persist: true
+    },
+    {
+        id: 'dob', label: 'Date of Birth', section: 'personal', type: 'date', required: true,
+        validator: ValidationCore.validateDateOfBirth, serialize: dateToIso,
+        message: 'Date must be in {format} format, not in future, not more than 120 years ago',
+        persist: true
+    },
+    {
+        id: 'ssn', label: 'Social Security Number', section: 'personal', required: true,
+        validator: ValidationCore.validateSSN,
+        asyncValidator: checkDuplicatePatient, asyncDependsOn: ['first-name', 'last-name', 'dob'],
+        message: 'SSN must be 9 digits in XXX-XX-XXXX format',
+        reasons: {
+            invalidArea: 'SSN cannot start with 000, 666 or 9',
+            invalidGroup: 'The middle two digits of an SSN cannot be 00',
+            invalidSerial: 'The last four digits of an SSN cannot be 0000',
+            voided: 'This SSN was voided by the Social Security Administration',
+            duplicate: 'A patient with this name, date of birth and SSN is already registered. Please ask the front desk for help'
+        },
+        persist: false, sensitive: true, mask: true, summary: 'last4'
+    },
+    {
+        id: 'guardian-name', label: 'Parent/Guardian Name', section: 'personal', block: 'guardian-details', required: true,
+        pattern: /^[A-Za-z][A-Za-z' -]{1,59}$/,
+        message: 'Name must be 2-60 characters, letters, spaces, apostrophes, and dashes only',
+        persist: true
+    },
+    {
+        id: 'guardian-relationship', label: 'Relationship to Patient', section: 'personal', type: 'select',
+        block: 'guardian-details', required: true,
+        pattern: /.+/,
+        options: [
+            { value: 'parent', label: 'Parent' },
+            { value: 'legal-guardian', label: 'Legal guardian' },
+            { value: 'grandparent', label: 'Grandparent' },
+            { value: 'other', label: 'Other relative' }
+        ],
+        message: 'Please select the relationship to the patient',
+        persist: true
+    },
+    {
+        id: 'guardian-phone', label: 'Parent/Guardian Phone', section: 'personal', block: 'guardian-details', required: true,
+        validator: ValidationCore.validateRequiredPhone,
+        message: 'Phone must be in format 000-000-0000',
+        reasons: Object.assign({ required: 'Please enter a phone number for the parent or guardian' }, PHONE_REASONS),
+        persist: true
+    },
+
+    // Address Information
+    {
+        id: 'address1', label: 'Address Line 1', section: 'address', required: true,
+        validator: ValidationCore.validateAddress,
+        message: 'Address must be 2-30 characters',
+        persist: true
+    },
+    {
+        id: 'address2', label: 'Address Line 2', section: 'address',
+        validator: ValidationCore.validateAddressOptional,
+        message: 'Address must be 2-30 characters if entered',
+        persist: true, emptyText: 'Not provided'
+    },
+    {
+        id: 'city', label: 'City', section: 'address', required: true,
+        validator: ValidationCore.validateCity,
+        message: 'City must be 2-30 characters',
+        persist: true
+    },
+    {
+        id: 'state', label: 'State', section: 'address', type: 'select', required: true,
+        validator: ValidationCore.validateState,
+        message: 'Please select a state',
+        persist: true
+    },
+    {
+        id: 'zip', label: 'Zip Code', section: 'address', required: true,
+        validator: ValidationCore.validateZip,
+        message: 'Zip code must be 5 digits or ZIP+4 (12345-6789)',
+        reasons: {
+            stateMismatch: 'Zip code is not in the selected state'
+        },
+        persist: true
+    },
+
+    // Contact Information
+    {
+        id: 'email', label: 'Email Address', section: 'contact', required: true,
+        validator: ValidationCore.validateEmail, lowercase: true,
+        message: 'Email must be in format name@domain.tld',
+        reasons: {
+            tooLong: 'Email cannot be longer than 254 characters',
+            localTooLong: 'The part before @ cannot be longer than 64 characters',
+            localCharacters: 'The part before @ can only use letters, digits and . _ % + -',
+            localDots: 'The part before @ cannot start or end with a dot or have two dots in a row',
+            domain: 'The domain after @ is not valid (check for extra dots or hyphens)',
+            topLevelDomain: 'The domain must end in letters, like .com or .org'
+        },
+        persist: true
+    },
+    {
+        id: 'phone', label: 'Phone Number', section: 'contact',
+        validator: ValidationCore.validatePhone,
+        message: 'Phone must be in format 000-000-0000',
+        reasons: PHONE_REASONS,
+        persist: true, emptyText: 'Not provided'
+    },
+
+    // Medical History
+    {
+        id: 'vaccinations', label: 'Vaccinations', section: 'medical', type: 'checkbox',
+        requiredIf: answers => answers.vaccinated === 'yes',
+        message: 'You said you have been vaccinated. Please check at least one vaccination',
+        persist: true, emptyText: 'None selected'
+    },
+    {
+        id: 'vaccination-dates', label: 'Vaccination Dates', section: 'medical', type: 'list',
+        rowsFrom: 'vaccinations',
+        columns: [
+            { id: 'vaccine', label: 'Vaccine', type: 'option' },
+            { id: 'date', label: 'Date Received', type: 'date' }
+        ],
+        persist: true, emptyText: 'No vaccinations selected'
+    },
+    {
+        id: 'symptoms', label: 'Symptoms', section: 'medical', type: 'textarea',
+        persist: true, emptyText: 'None described'
+    },
+    {
+        id: 'medications', label: 'Current Medications', section: 'medical', type: 'list',
+        itemLabel: 'Medication', addLabel: 'Add medication',
+        columns: [
+            { id: 'name', label: 'Medication', required: true, maxlength: 50 },
+            { id: 'dose', label: 'Dose', required: true, maxlength: 20 },
+            {
+                id: 'frequency', label: 'How Often', type: 'select', required: true,
+                options: [
+                    { value: 'once-daily', label: 'Once a day' },
+                    { value: 'twice-daily', label: 'Twice a day' },
+                    { value: 'three-times-daily', label: 'Three times a day' },
+                    { value: 'four-times-daily', label: 'Four times a day' },
+                    { value: 'as-needed', label: 'As needed' },
+                    { value: 'weekly', label: 'Once a week' },
+                    { value: 'other', label: 'Other' }
+                ]
+            }
+        ],
+        persist: true, emptyText: 'None listed'
+    },
+    {
+        id: 'allergies', label: 'Allergies', section: 'medical', type: 'list',
+        itemLabel: 'Allergy', addLabel: 'Add allergy',
+        columns: [
+            { id: 'substance', label: 'Substance', required: true, maxlength: 50 },
+            { id: 'reaction', label: 'Reaction', required: true, maxlength: 50 },
+            {
+                id: 'severity', label: 'Severity', type: 'select', required: true,
+                options: [
+                    { value: 'mild', label: 'Mild' },
+                    { value: 'moderate', label: 'Moderate' },
+                    { value: 'severe', label: 'Severe' },
+                    { value: 'life-threatening', label: 'Life-threatening' }
+                ]
+            }
+        ],
+        persist: true, emptyText: 'None listed'
+    },
+    {
+        id: 'conditions', label: 'Chronic Conditions', section: 'medical', type: 'list',
+        itemLabel: 'Condition', addLabel: 'Add condition',
+        columns: [
+            { id: 'name', label: 'Condition', required: true, maxlength: 50 },
+            { id: 'since', label: 'Year Diagnosed', type: 'year' }
+        ],
+        persist: true, emptyText: 'None listed'
+    },
+
+    // Additional Information
+    {
+        id: 'gender', label: 'Gender', section: 'additional', type: 'radio', required: true,
+        message: 'Please select a gender',
+        persist: true
+    },
+    {
+        id: 'vaccinated', label: 'Vaccinated', section: 'additional', type: 'radio', required: true,
+        message: 'Please select vaccination status',
+        persist: true
+    },
+    {
+        id: 'insurance', label: 'Insurance', section: 'additional', type: 'radio', required: true,
+        message: 'Please select insurance status',
+        persist: true
+    },
+    {
+        id: 'insurance-carrier', label: 'Insurance Company', section: 'additional', block: 'insurance-details', required: true,
+        pattern: /^.{2,50}$/,
+        message: 'Insurance company must be 2-50 characters',
+        persist: true
+    },
+    {
+        id: 'member-id', label: 'Member ID', section: 'additional', block: 'insurance-details', required: true,
+        pattern: /^[A-Za-z0-9-]{3,20}$/,
+        message: 'Member ID must be 3-20 letters, digits, or dashes',
+        persist: true
+    },
+    {
+        id: 'group-number', label: 'Group Number', section: 'additional', block: 'insurance-details',
+        pattern: /^[A-Za-z0-9-]{1,20}$/,
+        message: 'Group number must be up to 20 letters, digits, or dashes',
+        persist: true, emptyText: 'Not provided'
+    },
+    {
+        id: 'policy-holder', label: 'Policy Holder', section: 'additional', type: 'select',
+        block: 'insurance-details', required: true,
+        pattern: /.+/,
+        options: [
+            { value: 'self', label: 'Self' },
+            { value: 'spouse', label: 'Spouse or partner' },
+            { value: 'parent', label: 'Parent or guardian' },
+            { value: 'other', label: 'Someone else' }
+        ],
+        message: 'Please select who holds the policy',
+        persist: true
+    },
+    {
+        id: 'policy-holder-name', label: 'Policy Holder Name', section: 'additional', block: 'insurance-details',
+        showIf: answers => answers['policy-holder'] !== '' && answers['policy-holder'] !== 'self', required: true,
+        pattern: /^[A-Za-z][A-Za-z' -]{1,59}$/,
+        message: 'Name must be 2-60 characters, letters, spaces, apostrophes, and dashes only',
+        persist: true
+    },
+    {
+        id: 'health-rating', label: 'Health Rating', section: 'additional', type: 'range',
+        persist: true, suffix: '/10', outputId: 'health-value'
+    },
+
+    // Account Information
+    {
+        id: 'userid', label: 'User ID', section: 'account', required: true,
+        validator: ValidationCore.validateUserId, asyncValidator: checkUserIdAvailable, lowercase: true,
+        message: 'User ID must be 5-20 characters, start with letter, no spaces or special characters except dash and underscore',
+        reasons: {
+            taken: 'This user ID is already taken. Please choose another'
+        },
+        persist: true
+    },
+    {
+        id: 'password', label: 'Password', section: 'account', required: true,
+        validator: ValidationCore.validatePassword,
+        message: 'Password must be 8+ characters with at least 1 uppercase, 1 lowercase, and 1 digit',
+        reasons: {
+            personal: 'Password cannot contain your user ID, name or date of birth',
+            common: 'This password is too common. Choose something less predictable',
+            strength: 'Password is too easy to guess. Make it longer or avoid words and patterns'
+        },
+        persist: false, sensitive: true, mask: true
+    },
+    {
+        id: 'confirm-password', label: 'Re-enter Password', section: 'account', required: true,
+        validator: ValidationCore.validateConfirmPassword,
+        message: 'Passwords must match',
+        persist: false, sensitive: true, mask: true, submit: false
+    }
+];
+
+// Look up a field definition by id
+function getFieldSchema(fieldId) {
+    return FORM_FIELDS.find(field => field.id === fieldId) || null;
+}
+
+// Translated text for a field, section or option (English from the schema is the fallback)
+function getFieldLabel(field) {
+    return t(`fields.${field.id}.label`, field.label);
+}
+
+// Error message for a field; a validator's reason code picks one of the field's reasons instead
+function getFieldMessage(field, reason) {
+    const values = { format: getLocaleInfo().dateFormat };
+    if (reason && field.reasons && field.reasons[reason]) {
+        return t(`fields.${field.id}.reasons.${reason}`, field.reasons[reason], values);
+    }
+    return t(`fields.${field.id}.message`, field.message, values);
+}
+
+function getSectionTitle(section) {
+    return t(`sections.${section.id}`, section.title);
+}
+
+function getOptionLabel(field, value) {
+    const option = field.options && field.options.find(option => option.value === value);
+    return t(`options.${field.id}.${value}`, option ? option.label : value);
+}
+
+// Return the validation function for a field, building one from its pattern if needed
+function getFieldValidator(field) {
+    if (field.validator) return field.validator;
+    if (field.pattern) {
+        return function(value) {
+            if (!value) return !isFieldRequired(field);
+            return field.pattern.test(value);
+        };
+    }
+    return null;
+}
+
+// Read the current value of a field from the form
+function getFieldValue(field) {
+    if (field.type === 'list') {
+        return getListValue(field);
+    }
+    if (field.type === 'radio') {
+        const selected = document.querySelector(`input[name="${field.id}"]:checked`);
+        return selected ? selected.value : '';
+    }
+    if (field.type === 'checkbox') {
+        return Array.from(document.querySelectorAll(`input[name="${field.id}"]:checked`))
+            .map(cb => cb.value)
+            .join(',');
+    }
+    const element = document.getElementById(field.id);
+    return element ? element.value : '';
+}
+
+// Write a saved value back into the form
+function setFieldValue(field, value) {
+    if (field.type === 'list') {
+        setListValue(field, value);
+        return;
+    }
+    if (field.type === 'radio') {
+        // Matched on .value: a saved value is never put into a selector
+        document.querySelectorAll(`input[name="${field.id}"]`).forEach(radio => {
+            if (radio.value === value) radio.checked = true;
+        });
+        return;
+    }
+    if (field.type === 'checkbox') {
+        const values = value ? value.split(',') : [];
+        document.querySelectorAll(`input[name="${field.id}"]`).forEach(cb => {
+            cb.checked = values.includes(cb.value);
+        });
+        return;
+    }
+    const element = document.getElementById(field.id);
+    if (!element) return;
+    element.value = value;
+    if (field.outputId) {
+        document.getElementById(field.outputId).textContent = value;
+    }
+}
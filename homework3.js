@@ -0,0 +1,401 @@
+/*
+Program name: homework3.js
+Author: Muhammad Adnan
+Date created: December 19, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Page script for homework3.html: welcome banner, cookies, saved draft, states list, clock and button wiring
+
+Kept out of the page so it runs under a Content-Security-Policy without 'unsafe-inline'.
+*/
+
+// Cookie and LocalStorage Management (values are URI-encoded so ; and = can't break the cookie)
+function setCookie(name, value, hours) {
+    const d = new Date();
+    d.setTime(d.getTime() + (hours * 60 * 60 * 1000));
+    document.cookie = name + "=" + encodeURIComponent(value) + ";expires=" + d.toUTCString() + ";path=/";
+}
+
+function getCookie(name) {
+    const nameEQ = name + "=";
+    const ca = document.cookie.split(';');
+    for (let i = 0; i < ca.length; i++) {
+        let c = ca[i];
+        while (c.charAt(0) == ' ') c = c.substring(1, c.length);
+        if (c.indexOf(nameEQ) == 0) {
+            try {
+                return decodeURIComponent(c.substring(nameEQ.length, c.length));
+            } catch (error) {
+                // Not something this page wrote
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+function deleteCookie(name) {
+    document.cookie = name + "=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;";
+}
+
+// Random id that says nothing about the patient (event log visits, kiosk drafts)
+function createRandomId() {
+    return crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+// Decrypted copy of the saved draft; every save re-encrypts the whole object.
+// Saving stays off until the existing draft is loaded (or unlocked) so it is never overwritten.
+let draftValues = {};
+let draftReady = false;
+
+function clearAllData() {
+    deleteCookie('firstName');
+    // A kiosk forgets only the current patient; the other patients' drafts stay
+    if (isKioskMode()) {
+        discardPatientDraft().then(startNewPatient);
+        return;
+    }
+    clearNamespacedStorage();
+    document.getElementById('patient-form').reset();
+    location.reload();
+}
+
+// Check for returning user
+function checkReturningUser() {
+    const savedFirstName = getWelcomeName();
+
+    renderWelcome();
+
+    if (isKioskMode()) {
+        // A shared kiosk starts a new patient with a draft of their own, or after a reload carries on with this tab's
+        if (resumeKioskSlot()) {
+            loadFormData();
+        } else {
+            draftReady = true;
+        }
+    } else if (savedFirstName) {
+        document.getElementById('returning-user-notice').style.display = 'block';
+
+        // Load the saved (encrypted) draft
+        loadFormData();
+    } else {
+        draftReady = true;
+    }
+}
+
+// Welcome banner in the current language. The name comes from a cookie, so it is only ever set as text.
+function renderWelcome() {
+    const savedFirstName = getWelcomeName();
+    const welcomeMsg = document.getElementById('welcome-message');
+    const returningNotice = document.getElementById('returning-user-notice');
+    const greeting = document.createElement('strong');
+
+    welcomeMsg.textContent = '';
+    welcomeMsg.appendChild(greeting);
+
+    if (savedFirstName) {
+        greeting.textContent = t('header.welcomeBack', 'Welcome back, {name}!', { name: savedFirstName });
+        welcomeMsg.append(' 👋');
+
+        const notice = document.createElement('div');
+        notice.className = 'returning-user-banner';
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'not-me-checkbox';
+        checkbox.addEventListener('change', handleNotMe);
+        label.append(checkbox, ' ' + t('header.notMe', 'Not {name}? Click here to start as a NEW USER', { name: savedFirstName }));
+        notice.appendChild(label);
+
+        returningNotice.textContent = '';
+        returningNotice.appendChild(notice);
+    } else {
+        greeting.textContent = t('header.welcomeNew', 'Welcome, New User!');
+        welcomeMsg.append(' 👤');
+    }
+}
+
+// Name of the returning user (never on a kiosk, where the next person is someone else)
+function getWelcomeName() {
+    return isKioskMode() ? null : getCookie('firstName');
+}
+
+function handleNotMe() {
+    if (document.getElementById('not-me-checkbox').checked) {
+        if (confirm(t('alerts.clearSaved', 'This will clear all your saved information. Continue?'))) {
+            clearAllData();
+        } else {
+            document.getElementById('not-me-checkbox').checked = false;
+        }
+    }
+}
+
+// Drafts are saved with Remember Me, and always on a kiosk, where they keep the patients apart
+function isDraftSavingOn() {
+    return document.getElementById('remember-me').checked || isKioskMode();
+}
+
+// Save a field to the encrypted draft (only fields the schema marks as persistent)
+function saveToDraft(fieldId, value) {
+    const field = getFieldSchema(fieldId);
+    if (draftReady && isDraftSavingOn() && field && field.persist && isFieldActive(field)) {
+        draftValues[fieldId] = convertDraftDates(field, value, dateToIso);
+        saveDraft(draftValues);
+    }
+}
+
+// Dates are kept in the draft as YYYY-MM-DD and typed in the current language's order on the form,
+// so a draft saved in one language opens with the same dates in another
+function convertDraftDates(field, value, convert) {
+    if (field.type === 'date') return convert(value);
+    if (field.type !== 'list') return value;
+    const dateColumns = field.columns.filter(column => column.type === 'date');
+    return value.map(row => {
+        const converted = Object.assign({}, row);
+        dateColumns.forEach(column => {
+            if (converted[column.id]) converted[column.id] = convert(converted[column.id]);
+        });
+        return converted;
+    });
+}
+
+// Drop a field from the draft (used when the form rules hide it)
+function removeFromDraft(fieldId) {
+    if (draftReady && isDraftSavingOn() && fieldId in draftValues) {
+        delete draftValues[fieldId];
+        saveDraft(draftValues);
+    }
+}
+
+// Load form data from the encrypted draft
+async function loadFormData() {
+    const draft = await loadDraft();
+    if (draft && draft.locked) {
+        setDraftText('draft-passphrase-button', 'privacy.unlock', 'Unlock Saved Form');
+        setDraftText('draft-status', 'privacy.draftLocked', 'Your saved form is protected. Enter your passphrase and click Unlock to restore it.');
+        return;
+    }
+    if (draft && draft.unavailable) {
+        // Saving stays off so the draft is not overwritten; it goes when it expires or the user starts over
+        setDraftText('draft-status', 'privacy.draftUnavailable', 'Your saved form was saved in a browser session that has ended, so it can\'t be opened here. It is deleted when it expires, or right away if you start as a new user at the top of the page.');
+        return;
+    }
+    const values = draft ? draft.values : {};
+    // A tab that was locked before a reload, or opened while the others are locked, fills the form once unlocked
+    if (await isSessionLockedNow()) {
+        holdDraftUntilUnlock(values);
+        return;
+    }
+    applyDraftValues(values);
+}
+
+function applyDraftValues(values) {
+    draftValues = values;
+    draftReady = true;
+    FORM_FIELDS.forEach(field => {
+        if (field.persist && values[field.id]) {
+            setFieldValue(field, convertDraftDates(field, values[field.id], isoToLocalDate));
+        }
+    });
+    applyFormRules();
+}
+
+// Set translatable text on the passphrase button or status line (re-translated on language change)
+function setDraftText(elementId, key, text) {
+    const element = document.getElementById(elementId);
+    element.dataset.i18n = key;
+    element.dataset.i18nDefault = text;
+    element.textContent = t(key, text);
+}
+
+// Protect the draft with a passphrase, or unlock a draft protected on an earlier visit
+async function handleDraftPassphrase() {
+    const input = document.getElementById('draft-passphrase');
+
+    if (input.value.length < 8) {
+        setDraftText('draft-status', 'privacy.passphraseTooShort', 'Passphrase must be at least 8 characters.');
+        return;
+    }
+
+    if (!draftReady) {
+        const values = await unlockDraft(input.value);
+        if (!values) {
+            setDraftText('draft-status', 'privacy.passphraseWrong', 'That passphrase did not unlock your saved form. Please try again.');
+            return;
+        }
+        applyDraftValues(values);
+        setDraftText('draft-status', 'privacy.draftRestored', 'Your saved form has been restored.');
+    } else {
+        if (!isDraftSavingOn()) {
+            setDraftText('draft-status', 'privacy.rememberMeRequired', 'Check Remember Me to save your form.');
+            return;
+        }
+        await setDraftPassphrase(input.value, draftValues);
+        setDraftText('draft-status', 'privacy.draftProtected', 'Your saved form is now protected with your passphrase.');
+    }
+
+    input.value = '';
+    setDraftText('draft-passphrase-button', 'privacy.protect', 'Protect Saved Form');
+}
+
+// Display current date and time
+function updateDateTime() {
+    const now = new Date();
+    const options = { 
+        weekday: 'long', 
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    };
+    document.getElementById('current-datetime').textContent = 
+        t('header.today', 'Today is:') + ' ' + now.toLocaleDateString(getLocaleTag(), options);
+}
+
+// Fetch states from the JSON file named in the site configuration
+async function loadStates() {
+    try {
+        const config = await siteConfigReady;
+        const response = await fetch(config.optionSources.states);
+        if (!response.ok) {
+            throw new Error('Failed to load states');
+        }
+        const data = await response.json();
+        const stateSelect = document.getElementById('state');
+        stateSelect.textContent = '';
+
+        data.states.forEach(state => {
+            const option = document.createElement('option');
+            option.value = state.code;
+            option.textContent = state.name;
+            stateSelect.appendChild(option);
+        });
+
+        // Restore saved state if the draft has already loaded
+        const savedState = draftValues['state'];
+        if (savedState) {
+            stateSelect.value = savedState;
+        }
+    } catch (error) {
+        console.error('Error loading states:', error);
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = t('form.statesError', 'Error loading states');
+        document.getElementById('state').replaceChildren(option);
+    }
+}
+
+// Update health rating display
+document.addEventListener('DOMContentLoaded', function() {
+    // Initialize
+    removeLegacyDraftKeys();
+    clearRegistrationSummary();
+    checkReturningUser();
+    loadStates();
+    updateDateTime();
+    setInterval(updateDateTime, 1000);
+
+    // Health rating slider
+    document.getElementById('health-rating').addEventListener('input', function() {
+        document.getElementById('health-value').textContent = this.value;
+        saveToDraft('health-rating', this.value);
+    });
+
+    // Save form fields to the draft on change
+    const formFields = document.querySelectorAll('input, select, textarea');
+    formFields.forEach(field => {
+        if (field.type !== 'password' && field.id !== 'ssn') {
+            field.addEventListener('blur', function() {
+                if (this.id && this.id !== 'remember-me' && this.id !== 'not-me-checkbox') {
+                    saveToDraft(this.id, this.value);
+                }
+            });
+        }
+
+        if (field.type === 'radio') {
+            field.addEventListener('change', function() {
+                saveToDraft(this.name, this.value);
+            });
+        }
+
+        if (field.type === 'checkbox' && getFieldSchema(field.name)) {
+            field.addEventListener('change', function() {
+                saveToDraft(this.name, getFieldValue(getFieldSchema(this.name)));
+            });
+        }
+    });
+
+    // Save first name to cookie
+    document.getElementById('first-name').addEventListener('blur', function() {
+        const rememberMe = document.getElementById('remember-me').checked;
+        if (rememberMe && this.value && !isKioskMode()) {
+            setCookie('firstName', this.value, 48);
+        }
+    });
+
+    // Re-render the welcome banner and clock when the language changes
+    document.addEventListener('localechange', renderWelcome);
+    document.addEventListener('localechange', updateDateTime);
+
+    // Draft passphrase
+    document.getElementById('draft-passphrase-button').addEventListener('click', handleDraftPassphrase);
+
+    // Buttons are wired here instead of with onclick attributes, which a strict CSP blocks
+    document.getElementById('review-button').addEventListener('click', showReview);
+    document.getElementById('submit-button').addEventListener('click', submitForm);
+    document.getElementById('contact-button').addEventListener('click', contactUs);
+    document.querySelectorAll('[data-toggle-password]').forEach(toggle => {
+        toggle.addEventListener('click', function() {
+            togglePassword(this.dataset.togglePassword);
+        });
+    });
+
+    // Handle remember me checkbox
+    document.getElementById('remember-me').addEventListener('change', function() {
+        if (!this.checked) {
+            if (confirm(t('alerts.clearSaved', 'This will clear all your saved information. Continue?'))) {
+                clearAllData();
+            } else {
+                this.checked = true;
+            }
+        }
+    });
+});
+
+// Toggle password visibility
+function togglePassword(fieldId) {
+    const field = document.getElementById(fieldId);
+    const toggleBtn = field.nextElementSibling;
+    const svg = toggleBtn.querySelector('svg');
+
+    if (field.type === 'password') {
+        field.type = 'text';
+        setPasswordIcon(svg, PASSWORD_ICONS.hide);
+    } else {
+        field.type = 'password';
+        setPasswordIcon(svg, PASSWORD_ICONS.show);
+    }
+}
+
+// Shapes of the eye icon ([tag, attributes]): open to show the value, struck through to hide it again
+const PASSWORD_ICONS = {
+    show: [
+        ['path', { d: 'M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z' }],
+        ['circle', { cx: '12', cy: '12', r: '3' }]
+    ],
+    hide: [
+        ['path', { d: 'M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24' }],
+        ['line', { x1: '1', y1: '1', x2: '23', y2: '23' }]
+    ]
+};
+
+// Replace the icon's shapes, built as SVG elements rather than parsed from a string
+function setPasswordIcon(svg, shapes) {
+    svg.replaceChildren(...shapes.map(([tag, attributes]) => {
+        const shape = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach(name => shape.setAttribute(name, attributes[name]));
+        return shape;
+    }));
+}
@@ -0,0 +1,166 @@
+/*
+Program name: i18n.js
+Author: Muhammad Adnan
+Date created: December 13, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Language switching, message catalogs and locale-aware date handling
+
+English text lives in the markup and the field schema and is used as the fallback for every key.
+Other languages are loaded from locales/<code>.json, a flat { "key": "text" } catalog.
+*/
+
+// Supported languages: locale tag for Intl formatting and the order of the date parts
+const LOCALES = {
+    en: { name: 'English', tag: 'en-US', dateOrder: 'mdy', dateFormat: 'MM/DD/YYYY' },
+    es: { name: 'Español', tag: 'es-US', dateOrder: 'dmy', dateFormat: 'DD/MM/AAAA' },
+    vi: { name: 'Tiếng Việt', tag: 'vi-VN', dateOrder: 'dmy', dateFormat: 'DD/MM/YYYY' }
+};
+const DEFAULT_LOCALE = 'en';
+
+// Language the user picked; starting over forgets it and the next person sees the default
+const LANGUAGE_STORAGE_KEY = 'werdocs:language';
+
+let currentLocale = DEFAULT_LOCALE;
+let localeMessages = {};
+
+// Initialize language when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    const languageSelect = document.getElementById('language-select');
+    if (languageSelect) {
+        Object.keys(LOCALES).forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = LOCALES[code].name;
+            languageSelect.appendChild(option);
+        });
+        languageSelect.addEventListener('change', function() {
+            setLanguage(this.value);
+        });
+    }
+
+    // Set the saved language right away so dates typed or restored before its catalog arrives are read in its order
+    const savedLocale = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    currentLocale = LOCALES[savedLocale] ? savedLocale : DEFAULT_LOCALE;
+    if (languageSelect) languageSelect.value = currentLocale;
+    applyTranslations();
+    setLanguage(currentLocale);
+});
+
+// Look up a message, falling back to the English text. {name} placeholders are filled from params.
+function t(key, fallback, params) {
+    let text = Object.prototype.hasOwnProperty.call(localeMessages, key) ? localeMessages[key] : fallback;
+    if (params) {
+        Object.keys(params).forEach(name => {
+            text = text.split('{' + name + '}').join(params[name]);
+        });
+    }
+    return text;
+}
+
+function getLocaleInfo() {
+    return LOCALES[currentLocale];
+}
+
+function getLocaleTag() {
+    return LOCALES[currentLocale].tag;
+}
+
+// Fetch the catalog for a language (English needs none)
+async function loadLocaleMessages(code) {
+    if (code === DEFAULT_LOCALE) return {};
+    try {
+        const response = await fetch(`locales/${code}.json`);
+        if (!response.ok) {
+            throw new Error('Failed to load locale ' + code);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error loading language:', error);
+        return null;
+    }
+}
+
+// Switch language, translate the page and let the other modules refresh their text
+async function setLanguage(code) {
+    const messages = await loadLocaleMessages(code);
+    if (messages === null) return;
+
+    const previousLocale = currentLocale;
+    currentLocale = code;
+    localeMessages = messages;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+
+    const languageSelect = document.getElementById('language-select');
+    if (languageSelect) languageSelect.value = code;
+
+    applyTranslations();
+
+    document.dispatchEvent(new CustomEvent('localechange', {
+        detail: { locale: code, previousLocale: previousLocale }
+    }));
+}
+
+// Translate every element marked with data-i18n (text), data-i18n-placeholder or data-i18n-value
+function applyTranslations() {
+    document.documentElement.lang = currentLocale;
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        if (element.dataset.i18nDefault === undefined) {
+            element.dataset.i18nDefault = element.textContent;
+        }
+        element.textContent = t(element.dataset.i18n, element.dataset.i18nDefault);
+    });
+
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        if (element.dataset.i18nPlaceholderDefault === undefined) {
+            element.dataset.i18nPlaceholderDefault = element.placeholder;
+        }
+        element.placeholder = t(element.dataset.i18nPlaceholder, element.dataset.i18nPlaceholderDefault);
+    });
+
+    document.querySelectorAll('[data-i18n-value]').forEach(element => {
+        if (element.dataset.i18nValueDefault === undefined) {
+            element.dataset.i18nValueDefault = element.value;
+        }
+        element.value = t(element.dataset.i18nValue, element.dataset.i18nValueDefault);
+    });
+
+    // Date format hints follow the language, not the catalog
+    document.querySelectorAll('.date-format-hint').forEach(element => {
+        element.textContent = getLocaleInfo().dateFormat;
+    });
+    document.querySelectorAll('[data-date-input]').forEach(element => {
+        element.placeholder = getLocaleInfo().dateFormat;
+    });
+}
+
+// Parse an NN/NN/YYYY date using the day/month order of the given (or current) language.
+// Returns a Date, or null when the text is not a real calendar date.
+function parseLocalDate(value, locale) {
+    return ValidationCore.parseDate(value, LOCALES[locale || currentLocale].dateOrder);
+}
+
+// Format a Date in the current language's numeric order
+function formatLocalDate(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = String(date.getFullYear());
+    return getLocaleInfo().dateOrder === 'dmy' ? `${day}/${month}/${year}` : `${month}/${day}/${year}`;
+}
+
+// Convert a date typed in the current language to YYYY-MM-DD (unparseable text is returned unchanged)
+function dateToIso(value) {
+    const date = parseLocalDate(value);
+    if (!date) return value;
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Convert YYYY-MM-DD back to the current language's order (anything else is returned unchanged)
+function isoToLocalDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return value;
+    return formatLocalDate(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
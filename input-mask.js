@@ -0,0 +1,67 @@
+/*
+Program name: input-mask.js
+Author: Muhammad Adnan
+Date created: December 21, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Input masks for patient-form: any input with data-mask="ssn|phone|zip|date" is formatted as it is typed or pasted
+(dates in the selected language's day/month order)
+
+The masks themselves are in validation-core.mjs (INPUT_MASKS). The listeners are on the document in the capture
+phase, so they also cover inputs added later (medical history dates) and run before the field's own validation.
+*/
+
+// Reformat on every change, keeping the caret beside the digit it was next to
+document.addEventListener('input', function(e) {
+    if (e.target.dataset && e.target.dataset.mask) {
+        applyMaskToInput(e.target);
+    }
+}, true);
+
+// Backspace or Delete next to a dash or slash removes the digit beyond it, not just the separator
+document.addEventListener('keydown', function(e) {
+    const input = e.target;
+    if (!input.dataset || !input.dataset.mask || (e.key !== 'Backspace' && e.key !== 'Delete')) return;
+    if (input.selectionStart !== input.selectionEnd) return;
+
+    // Only values the mask has formatted (an international phone number is left as typed)
+    const caret = input.selectionStart;
+    const result = ValidationCore.applyInputMask(input.value, caret, input.dataset.mask, getLocaleInfo().dateOrder);
+    if (result.asTyped || result.value !== input.value) return;
+    // A separator the user typed at the end is just removed
+    if (e.key === 'Backspace' && caret === input.value.length) return;
+
+    const separatorIndex = e.key === 'Backspace' ? caret - 1 : caret;
+    if (!/\D/.test(input.value.charAt(separatorIndex))) return;
+
+    const digitIndex = findDigit(input.value, separatorIndex, e.key === 'Backspace' ? -1 : 1);
+    if (digitIndex === -1) return;
+
+    e.preventDefault();
+    input.value = input.value.slice(0, digitIndex) + input.value.slice(digitIndex + 1);
+    const newCaret = e.key === 'Backspace' ? digitIndex : caret;
+    input.setSelectionRange(newCaret, newCaret);
+    // Let the mask, validation and draft listeners see the change as if it was typed
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}, true);
+
+function applyMaskToInput(input) {
+    const caret = input.selectionStart === null ? input.value.length : input.selectionStart;
+    const result = ValidationCore.applyInputMask(input.value, caret, input.dataset.mask, getLocaleInfo().dateOrder);
+
+    if (result.value !== input.value) {
+        input.value = result.value;
+    }
+    // Only move the caret of the field being typed in (setting it can focus the field in some browsers)
+    if (document.activeElement === input) {
+        input.setSelectionRange(result.caret, result.caret);
+    }
+}
+
+// Index of the nearest digit from start in the given direction, or -1
+function findDigit(value, start, step) {
+    for (let i = start; i >= 0 && i < value.length; i += step) {
+        if (/\d/.test(value.charAt(i))) return i;
+    }
+    return -1;
+}
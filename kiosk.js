@@ -0,0 +1,331 @@
+/*
+Program name: kiosk.js
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Staff/kiosk mode for patient-form: a draft per patient that staff can resume or delete, auto-purge and New Patient
+
+Turned on with ?kiosk=on and off with ?kiosk=off; the choice is remembered on this device. Each patient's answers
+are a separate encrypted draft (draft-store.js useDraftSlot), and New Patient clears the form without reloading the
+page. The tab keeps its patient's slot id in sessionStorage, so a reload carries on with the same draft. Remember
+Me is off on a kiosk: the drafts are saved anyway, but nothing else that follows it is (event log, wizard step).
+Patient names in the list come from the drafts, so they are only ever set as text.
+
+The list names other patients, so it is only shown after the staff PIN (chosen the first time it is asked for on
+this device and kept as a salted SHA-256 hash with the kiosk settings). It is hidden again when a patient is given
+the form (New Patient or Resume), on Close and when the session locks.
+*/
+
+// Kiosk settings
+const KIOSK_CONFIG = {
+    purgeOptions: [1, 4, 8, 24],
+    defaultPurgeHours: 8,
+    refreshMs: 60 * 1000
+};
+
+// { purgeHours } while kiosk mode is on, null otherwise. Read now so homework3.js knows before the draft loads.
+const kioskSettings = readKioskSettings();
+
+// Renders can overlap (they wait on decryption); only the latest one updates the list
+let kioskRenderCount = 0;
+// Set while staff have the draft list open
+let kioskStaffOpen = false;
+
+if (kioskSettings) {
+    setDraftTtlHours(kioskSettings.purgeHours);
+    // Before any other script reads it; also kept off when the form is reset
+    const rememberMe = document.getElementById('remember-me');
+    rememberMe.checked = false;
+    rememberMe.defaultChecked = false;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (kioskSettings) initializeKiosk();
+});
+
+document.addEventListener('localechange', function() {
+    if (kioskSettings) renderKioskDrafts();
+});
+
+function readKioskSettings() {
+    const param = new URLSearchParams(location.search).get('kiosk');
+    if (param === 'off') {
+        localStorage.removeItem(storageKey('kiosk'));
+        return null;
+    }
+
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(storageKey('kiosk')));
+    } catch (error) {
+        saved = null;
+    }
+    if (param !== 'on' && !saved) return null;
+
+    const settings = {
+        purgeHours: saved && KIOSK_CONFIG.purgeOptions.includes(saved.purgeHours)
+            ? saved.purgeHours
+            : KIOSK_CONFIG.defaultPurgeHours
+    };
+    if (saved && saved.staffPin) settings.staffPin = saved.staffPin;
+    saveKioskSettings(settings);
+    return settings;
+}
+
+function saveKioskSettings(settings) {
+    localStorage.setItem(storageKey('kiosk'), JSON.stringify(settings));
+}
+
+function isKioskMode() {
+    return kioskSettings !== null;
+}
+
+// Give the patient being registered a draft of their own
+function startKioskDraft() {
+    useKioskSlot(createRandomId());
+}
+
+// On page load (checkReturningUser): carry on with the patient this tab had before a reload, or start a new one.
+// Returns true when that patient has a saved draft to load.
+function resumeKioskSlot() {
+    const id = sessionStorage.getItem(storageKey('kiosk-slot'));
+    if (id && listDraftSlots().some(slot => slot.id === id)) {
+        useKioskSlot(id);
+        return true;
+    }
+    startKioskDraft();
+    return false;
+}
+
+function useKioskSlot(id) {
+    useDraftSlot(id);
+    sessionStorage.setItem(storageKey('kiosk-slot'), id);
+}
+
+function initializeKiosk() {
+    document.getElementById('kiosk-panel').hidden = false;
+    document.getElementById('session-new-patient-button').hidden = false;
+    // Drafts are how the kiosk keeps patients apart, so saving cannot be turned off here
+    document.getElementById('remember-me-row').hidden = true;
+
+    const purgeSelect = document.getElementById('kiosk-purge-hours');
+    purgeSelect.value = String(kioskSettings.purgeHours);
+    purgeSelect.addEventListener('change', function() {
+        kioskSettings.purgeHours = Number(this.value);
+        saveKioskSettings(kioskSettings);
+        setDraftTtlHours(kioskSettings.purgeHours);
+        renderKioskDrafts();
+    });
+
+    document.getElementById('kiosk-new-button').addEventListener('click', startNewPatient);
+    document.getElementById('session-new-patient-button').addEventListener('click', startNewPatient);
+    document.getElementById('kiosk-staff-button').addEventListener('click', showKioskPinRow);
+    document.getElementById('kiosk-pin-button').addEventListener('click', handleKioskStaffPin);
+    document.getElementById('kiosk-pin').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') handleKioskStaffPin();
+    });
+    document.getElementById('kiosk-close-button').addEventListener('click', closeKioskStaffView);
+
+    // The list shows names, so refresh it once a name has been saved
+    ['first-name', 'last-name'].forEach(id => {
+        document.getElementById(id).addEventListener('blur', function() {
+            draftSaveQueue.then(renderKioskDrafts);
+        });
+    });
+
+    renderKioskDrafts();
+    // Listing the drafts also purges the expired ones
+    setInterval(renderKioskDrafts, KIOSK_CONFIG.refreshMs);
+}
+
+// Ask for the staff PIN, or for a new one if none has been chosen on this device
+function showKioskPinRow() {
+    const label = document.getElementById('kiosk-pin-label');
+    if (kioskSettings.staffPin) {
+        label.dataset.i18n = 'kiosk.pin';
+        label.dataset.i18nDefault = 'Staff PIN:';
+    } else {
+        label.dataset.i18n = 'kiosk.choosePin';
+        label.dataset.i18nDefault = 'Choose a staff PIN for this device (at least 4 digits):';
+    }
+    label.textContent = t(label.dataset.i18n, label.dataset.i18nDefault);
+    document.getElementById('kiosk-pin-error').style.display = 'none';
+    document.getElementById('kiosk-pin-row').hidden = false;
+    document.getElementById('kiosk-pin').focus();
+}
+
+// Check the PIN (or keep the first one chosen) and open the draft list
+async function handleKioskStaffPin() {
+    const input = document.getElementById('kiosk-pin');
+    const pin = input.value.trim();
+    input.value = '';
+
+    if (!/^\d{4,}$/.test(pin)) {
+        showKioskPinError(t('kiosk.pinTooShort', 'Enter a PIN of at least 4 digits.'));
+        return;
+    }
+    if (!kioskSettings.staffPin) {
+        const salt = createRandomId();
+        kioskSettings.staffPin = { salt: salt, hash: await hashStaffPin(pin, salt) };
+        saveKioskSettings(kioskSettings);
+    } else if (await hashStaffPin(pin, kioskSettings.staffPin.salt) !== kioskSettings.staffPin.hash) {
+        showKioskPinError(t('kiosk.pinWrong', 'That PIN is not correct.'));
+        return;
+    }
+    openKioskStaffView();
+}
+
+function showKioskPinError(message) {
+    const errorSpan = document.getElementById('kiosk-pin-error');
+    errorSpan.textContent = message;
+    errorSpan.style.display = 'block';
+    document.getElementById('kiosk-pin').focus();
+}
+
+async function hashStaffPin(pin, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(salt + pin));
+    return bytesToBase64(new Uint8Array(digest));
+}
+
+function openKioskStaffView() {
+    kioskStaffOpen = true;
+    document.getElementById('kiosk-pin-row').hidden = true;
+    document.getElementById('kiosk-staff-button').hidden = true;
+    document.getElementById('kiosk-staff-view').hidden = false;
+    renderKioskDrafts();
+}
+
+// Hide the list (and empty it, so no names stay in the page) before a patient uses the form
+function closeKioskStaffView() {
+    kioskStaffOpen = false;
+    kioskRenderCount++;
+    document.getElementById('kiosk-staff-view').hidden = true;
+    document.getElementById('kiosk-draft-list').replaceChildren();
+    document.getElementById('kiosk-pin-row').hidden = true;
+    document.getElementById('kiosk-staff-button').hidden = false;
+}
+
+// Clear the form for the next patient; the last patient's draft stays in the list
+async function startNewPatient() {
+    closeKioskStaffView();
+    await resetPatientForm();
+    startKioskDraft();
+    applyDraftValues({});
+    await renderKioskDrafts();
+    document.getElementById('first-name').focus();
+}
+
+async function resumeKioskDraft(id) {
+    closeKioskStaffView();
+    if (id !== getDraftSlotId()) {
+        await resetPatientForm();
+        useKioskSlot(id);
+        // A passphrase-protected draft stays locked (and unsaved) until its passphrase is entered
+        await loadFormData();
+    }
+    await renderKioskDrafts();
+    document.getElementById('first-name').focus();
+}
+
+async function deleteKioskDraft(id) {
+    if (!confirm(t('kiosk.confirmDelete', 'Delete this draft? This cannot be undone.'))) return;
+
+    if (id === getDraftSlotId()) {
+        await discardPatientDraft();
+        await startNewPatient();
+    } else {
+        deleteDraftSlot(id);
+        await renderKioskDrafts();
+    }
+}
+
+// Stop saving and remove the current patient's draft (after any save still under way)
+async function discardPatientDraft() {
+    draftReady = false;
+    draftValues = {};
+    await draftSaveQueue;
+    clearDraft();
+}
+
+// Return the page to a clean form without reloading it
+async function resetPatientForm() {
+    // Stop saving first so the cleared form is not written into the last patient's draft
+    draftReady = false;
+    draftValues = {};
+    await draftSaveQueue;
+
+    document.getElementById('patient-form').reset();
+    document.getElementById('health-value').textContent = document.getElementById('health-rating').value;
+    document.getElementById('review-area').style.display = 'none';
+    clearRegistrationSummary();
+    setDraftText('draft-passphrase-button', 'privacy.protect', 'Protect Saved Form');
+    setDraftText('draft-status', 'privacy.draftInfo', 'Your saved form is encrypted on this device and kept for 48 hours. Without a passphrase it can only be restored until you close the browser.');
+
+    if (sessionLocked) {
+        // A draft held back by the lock is the last patient's
+        lockedDraftValues = null;
+        unlockSession(false);
+    } else {
+        resetSession(false);
+    }
+
+    // The reset listeners empty the lists and re-run the form rules on the next tick; let them finish
+    // before another patient's answers are filled in
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function renderKioskDrafts() {
+    const renderId = ++kioskRenderCount;
+    // Listing the drafts also purges the expired ones, so it runs with the list closed too
+    const slots = listDraftSlots();
+    if (!kioskStaffOpen) return;
+    const items = await Promise.all(slots.map(buildKioskDraftItem));
+    if (renderId !== kioskRenderCount) return;
+
+    document.getElementById('kiosk-draft-list').replaceChildren(...items);
+    document.getElementById('kiosk-empty').hidden = slots.length > 0;
+}
+
+async function buildKioskDraftItem(slot) {
+    const values = await peekDraftSlot(slot.id);
+    const isCurrent = slot.id === getDraftSlotId();
+    const name = getKioskDraftName(slot, values);
+    const time = new Date(slot.updatedAt).toLocaleString(getLocaleTag(), { dateStyle: 'medium', timeStyle: 'short' });
+
+    const item = document.createElement('li');
+    item.className = 'kiosk-draft' + (isCurrent ? ' kiosk-draft-current' : '');
+    item.append(
+        createTextElement('span', name, 'kiosk-draft-name'),
+        createTextElement('span', t('kiosk.savedAt', 'Saved {time}', { time: time }), 'kiosk-draft-time')
+    );
+
+    if (isCurrent) {
+        item.appendChild(createTextElement('span', t('kiosk.current', 'Editing now'), 'kiosk-draft-badge'));
+    } else {
+        item.appendChild(createKioskButton(t('kiosk.resume', 'Resume'), t('kiosk.resumeLabel', 'Resume draft for {name}', { name: name }),
+            () => resumeKioskDraft(slot.id)));
+    }
+    item.appendChild(createKioskButton(t('kiosk.delete', 'Delete'), t('kiosk.deleteLabel', 'Delete draft for {name}', { name: name }),
+        () => deleteKioskDraft(slot.id)));
+    return item;
+}
+
+function getKioskDraftName(slot, values) {
+    if (!values) {
+        return slot.keyType === 'passphrase'
+            ? t('kiosk.protected', 'Passphrase-protected draft')
+            : t('kiosk.unreadable', 'Draft that cannot be opened');
+    }
+    const name = [values['first-name'], values['last-name']].filter(Boolean).join(' ');
+    return name || t('kiosk.unnamed', 'Patient with no name yet');
+}
+
+function createKioskButton(text, label, handler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', handler);
+    return button;
+}
@@ -0,0 +1,413 @@
+/*
+Program name: medical-history.js
+Author: Muhammad Adnan
+Date created: December 16, 2025
+Date last edited: December 16, 2025
+Version: 1.0
+Description: Repeatable medical-history sub-forms (medications, allergies, conditions, vaccination dates)
+
+Each 'list' field in the schema is a table inside <div id="<field id>-group">. Rows are added and removed here;
+their values are read and written through getFieldValue/setFieldValue like any other field.
+*/
+
+// Most rows a patient can add to one list
+const MAX_LIST_ROWS = 20;
+
+// Build the list tables when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    getListFields().forEach(field => {
+        buildListTable(field);
+
+        const group = getListGroup(field);
+
+        // Save as the user types; only re-check while the list is showing an error
+        group.addEventListener('input', function() {
+            saveListField(field);
+            if (formErrors[field.id]) validateListField(field);
+        });
+        group.addEventListener('change', function() {
+            saveListField(field);
+            if (formErrors[field.id]) validateListField(field);
+        });
+
+        // Check a row once the user is done with it, not on every cell
+        group.addEventListener('focusout', function(e) {
+            const row = e.target.closest('tr');
+            if (row && !(e.relatedTarget && row.contains(e.relatedTarget))) {
+                validateListField(field);
+            }
+        });
+
+        // Rows that follow a checkbox group change when its boxes do
+        if (field.rowsFrom) {
+            document.querySelectorAll(`input[name="${field.rowsFrom}"]`).forEach(checkbox => {
+                checkbox.addEventListener('change', function() {
+                    setListValue(field, getListValue(field));
+                    saveListField(field);
+                });
+            });
+        }
+    });
+
+    document.getElementById('patient-form').addEventListener('reset', function() {
+        // Let the reset finish (checkboxes are cleared) before emptying the lists
+        setTimeout(() => getListFields().forEach(field => setListValue(field, [])), 0);
+    });
+});
+
+// Re-label the tables and re-type dates in the new day/month order
+document.addEventListener('localechange', function(e) {
+    const { locale, previousLocale } = e.detail;
+
+    getListFields().forEach(field => {
+        const rows = getListValue(field);
+        if (locale !== previousLocale) {
+            field.columns.filter(column => column.type === 'date').forEach(column => {
+                rows.forEach(row => {
+                    const date = parseLocalDate(row[column.id], previousLocale);
+                    if (date) row[column.id] = formatLocalDate(date);
+                });
+            });
+        }
+        buildListTable(field, true);
+        setListValue(field, rows);
+        saveListField(field);
+    });
+});
+
+function getListFields() {
+    return FORM_FIELDS.filter(field => field.type === 'list');
+}
+
+function getListGroup(field) {
+    return document.getElementById(field.id + '-group');
+}
+
+// Translated text for a list's columns, item name and select options
+function getColumnLabel(field, column) {
+    return t(`fields.${field.id}.columns.${column.id}`, column.label);
+}
+
+function getItemLabel(field) {
+    return t(`fields.${field.id}.item`, field.itemLabel);
+}
+
+function getColumnOptionLabel(column, value) {
+    const option = column.options.find(option => option.value === value);
+    return t(`options.${column.id}.${value}`, option ? option.label : value);
+}
+
+// Text of the checkbox a row follows ("COVID-19"), already translated on the page
+function getSourceOptionLabel(field, value) {
+    const checkbox = document.querySelector(`input[name="${field.rowsFrom}"][value="${value}"]`);
+    const label = checkbox && checkbox.closest('label');
+    return label ? label.textContent.trim() : getOptionLabel(getFieldSchema(field.rowsFrom), value);
+}
+
+// Create the table (and the add button for add/remove lists); rebuild replaces an existing one
+function buildListTable(field, rebuild) {
+    const group = getListGroup(field);
+    if (group.querySelector('table') && !rebuild) return;
+
+    group.querySelectorAll('table, .history-add').forEach(element => element.remove());
+
+    const table = document.createElement('table');
+    table.className = 'history-table';
+    const headerRow = table.createTHead().insertRow();
+    field.columns.forEach(column => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = getColumnLabel(field, column);
+        headerRow.appendChild(th);
+    });
+    if (!field.rowsFrom) {
+        headerRow.appendChild(document.createElement('th'));
+    }
+    table.createTBody();
+    group.appendChild(table);
+
+    if (!field.rowsFrom) {
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.id = field.id + '-add';
+        addButton.className = 'history-add';
+        addButton.textContent = '+ ' + t(`fields.${field.id}.add`, field.addLabel);
+        addButton.addEventListener('click', function() {
+            addListRow(field, {});
+            getListGroup(field).querySelector('tbody tr:last-child input, tbody tr:last-child select').focus();
+            saveListField(field);
+        });
+        group.appendChild(addButton);
+    }
+
+    updateListState(field);
+}
+
+// Append one row; values is { columnId: value }
+function addListRow(field, values) {
+    const tbody = getListGroup(field).querySelector('tbody');
+    if (!field.rowsFrom && tbody.rows.length >= MAX_LIST_ROWS) return;
+
+    const row = tbody.insertRow();
+    field.columns.forEach(column => {
+        const cell = row.insertCell();
+        const value = values[column.id] || '';
+
+        if (column.type === 'option') {
+            // Read-only cell naming the checkbox option this row belongs to
+            row.dataset.option = value;
+            cell.textContent = getSourceOptionLabel(field, value);
+            return;
+        }
+
+        let input;
+        if (column.type === 'select') {
+            input = document.createElement('select');
+            const blank = document.createElement('option');
+            blank.value = '';
+            blank.textContent = t('options.choose', 'Select...');
+            input.appendChild(blank);
+            column.options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option.value;
+                element.textContent = getColumnOptionLabel(column, option.value);
+                input.appendChild(element);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            if (column.maxlength) input.maxLength = column.maxlength;
+            if (column.type === 'date') {
+                input.dataset.dateInput = '';
+                input.dataset.mask = 'date';
+                input.placeholder = getLocaleInfo().dateFormat;
+                input.inputMode = 'numeric';
+            }
+            if (column.type === 'year') {
+                input.placeholder = 'YYYY';
+                input.maxLength = 4;
+                input.inputMode = 'numeric';
+            }
+        }
+        input.dataset.column = column.id;
+        input.value = value;
+        cell.appendChild(input);
+    });
+
+    if (!field.rowsFrom) {
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'history-remove';
+        removeButton.textContent = t('history.remove', 'Remove');
+        removeButton.addEventListener('click', function() {
+            removeListRow(field, row);
+        });
+        row.insertCell().appendChild(removeButton);
+    }
+
+    updateListState(field);
+}
+
+function removeListRow(field, row) {
+    row.remove();
+    updateListState(field);
+    saveListField(field);
+    if (formErrors[field.id]) validateListField(field);
+    document.getElementById(field.id + '-add').focus();
+}
+
+// Number the rows, give every cell an id and an accessible name, and limit the add button
+function updateListState(field) {
+    const group = getListGroup(field);
+    Array.from(group.querySelector('tbody').rows).forEach((row, index) => {
+        const rowLabel = getRowLabel(field, row, index);
+        row.querySelectorAll('[data-column]').forEach(input => {
+            const column = field.columns.find(column => column.id === input.dataset.column);
+            input.id = `${field.id}-${index + 1}-${column.id}`;
+            input.setAttribute('aria-label', `${getColumnLabel(field, column)} (${rowLabel})`);
+        });
+        const removeButton = row.querySelector('.history-remove');
+        if (removeButton) {
+            removeButton.setAttribute('aria-label', t('history.removeRow', 'Remove {item}', { item: rowLabel }));
+        }
+    });
+
+    const rowCount = group.querySelector('tbody').rows.length;
+    const addButton = document.getElementById(field.id + '-add');
+    if (addButton) {
+        addButton.disabled = rowCount >= MAX_LIST_ROWS;
+    }
+    // Vaccination dates only show once a vaccination is checked
+    if (field.rowsFrom) {
+        group.hidden = rowCount === 0;
+    }
+}
+
+// "Medication 2", or the vaccine name for rows that follow a checkbox group
+function getRowLabel(field, row, index) {
+    if (field.rowsFrom) {
+        return getSourceOptionLabel(field, row.dataset.option);
+    }
+    return `${getItemLabel(field)} ${index + 1}`;
+}
+
+// Read the rows from the table: [{ columnId: value }, ...] (blank rows are skipped)
+function getListValue(field) {
+    const group = getListGroup(field);
+    if (!group || !group.querySelector('tbody')) return [];
+
+    return Array.from(group.querySelector('tbody').rows).map(row => {
+        const values = {};
+        field.columns.forEach(column => {
+            if (column.type === 'option') {
+                values[column.id] = row.dataset.option;
+            } else {
+                values[column.id] = row.querySelector(`[data-column="${column.id}"]`).value.trim();
+            }
+        });
+        return values;
+    }).filter(values => field.rowsFrom || field.columns.some(column => column.type !== 'option' && values[column.id]));
+}
+
+// Replace the rows; lists that follow a checkbox group get one row per checked option, keeping saved values
+function setListValue(field, rows) {
+    const savedRows = Array.isArray(rows) ? rows : [];
+    buildListTable(field);
+    getListGroup(field).querySelector('tbody').textContent = '';
+
+    if (field.rowsFrom) {
+        const optionColumn = field.columns.find(column => column.type === 'option');
+        const checked = getFieldValue(getFieldSchema(field.rowsFrom));
+        (checked ? checked.split(',') : []).forEach(option => {
+            const saved = savedRows.find(row => row[optionColumn.id] === option) || {};
+            addListRow(field, Object.assign({}, saved, { [optionColumn.id]: option }));
+        });
+    } else {
+        savedRows.slice(0, MAX_LIST_ROWS).forEach(row => addListRow(field, row));
+    }
+
+    updateListState(field);
+    if (formErrors[field.id]) validateListField(field);
+}
+
+function saveListField(field) {
+    saveToDraft(field.id, getListValue(field));
+}
+
+// Validate every cell; the list's error span names the first problem ("Medication 2: Dose is required")
+function validateListField(field) {
+    const group = getListGroup(field);
+    let firstProblem = null;
+
+    Array.from(group.querySelector('tbody').rows).forEach((row, index) => {
+        // A row added but left blank is dropped, like getListValue does
+        const blank = !field.rowsFrom && Array.from(row.querySelectorAll('[data-column]')).every(input => !input.value.trim());
+
+        field.columns.forEach(column => {
+            const input = row.querySelector(`[data-column="${column.id}"]`);
+            if (!input) return;
+
+            const problem = blank ? null : getCellProblem(field, column, input.value.trim());
+            input.classList.toggle('input-error', !!problem);
+            if (problem) {
+                input.setAttribute('aria-invalid', 'true');
+                if (!firstProblem) firstProblem = `${getRowLabel(field, row, index)}: ${problem}`;
+            } else {
+                input.removeAttribute('aria-invalid');
+            }
+        });
+    });
+
+    if (firstProblem) {
+        showError(field.id, firstProblem);
+        formErrors[field.id] = firstProblem;
+    } else {
+        showSuccess(field.id);
+        delete formErrors[field.id];
+    }
+    delete formErrorReasons[field.id];
+
+    checkFormValidity();
+    return !firstProblem;
+}
+
+// Problem with one cell, or null when it is fine
+function getCellProblem(field, column, value) {
+    const columnLabel = getColumnLabel(field, column);
+
+    if (!value) {
+        return column.required ? t('history.required', '{column} is required', { column: columnLabel }) : null;
+    }
+
+    const birthDate = parseLocalDate(document.getElementById('dob').value);
+
+    if (column.type === 'date') {
+        const date = parseLocalDate(value);
+        if (!date || date > new Date()) {
+            return t('history.invalidDate', '{column} must be a real date in {format} format, not in the future', {
+                column: columnLabel,
+                format: getLocaleInfo().dateFormat
+            });
+        }
+        if (birthDate && date < birthDate) {
+            return t('history.beforeBirth', '{column} cannot be before the date of birth', { column: columnLabel });
+        }
+    }
+
+    if (column.type === 'year') {
+        const min = birthDate ? birthDate.getFullYear() : new Date().getFullYear() - 120;
+        const max = new Date().getFullYear();
+        const year = parseInt(value, 10);
+        if (!/^\d{4}$/.test(value) || year < min || year > max) {
+            return t('history.invalidYear', '{column} must be a year from {min} to {max}', {
+                column: columnLabel, min: min, max: max
+            });
+        }
+    }
+
+    return null;
+}
+
+// Cell that should receive focus for a list: the first invalid cell, else the first cell or the add button
+function getListFocusTarget(field) {
+    const group = getListGroup(field);
+    return group.querySelector('[aria-invalid="true"]') ||
+        group.querySelector('[data-column]') ||
+        document.getElementById(field.id + '-add');
+}
+
+// Rows for the submission payload, with dates as YYYY-MM-DD
+function serializeListRows(field, rows) {
+    return rows.map(row => {
+        const values = Object.assign({}, row);
+        field.columns.filter(column => column.type === 'date' && values[column.id]).forEach(column => {
+            values[column.id] = dateToIso(values[column.id]);
+        });
+        return values;
+    });
+}
+
+// Review panel table for a list (built with the summary's table helper, so cell text is never parsed as HTML)
+function renderListReview(field) {
+    const table = getListDisplayTable(field);
+    if (table.rows.length === 0) {
+        return createTextElement('p', t(`fields.${field.id}.empty`, field.emptyText), 'review-empty');
+    }
+
+    const element = renderSummaryTable(table);
+    element.className = 'review-table';
+    return element;
+}
+
+// A list as display text: { headers: ['Medication', ...], rows: [['Lisinopril', '10 mg', 'Once a day'], ...] }
+function getListDisplayTable(field) {
+    return {
+        headers: field.columns.map(column => getColumnLabel(field, column)),
+        rows: getListValue(field).map(row => field.columns.map(column => {
+            const value = row[column.id] || '';
+            if (column.type === 'select' && value) return getColumnOptionLabel(column, value);
+            if (column.type === 'option') return getSourceOptionLabel(field, value);
+            return value;
+        }))
+    };
+}
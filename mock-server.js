@@ -0,0 +1,227 @@
+/*
+Program name: mock-server.js
+Author: Muhammad Adnan
+Date created: December 11, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Local mock registration server for testing submission.js (run with: node mock-server.js)
+
+Serves the site from this folder and accepts POST /api/registrations, plus the checks remote-checks.js makes:
+POST /api/checks/userid and POST /api/checks/duplicate-patient. Accepted registrations count for both checks.
+A registration sent again with the same submissionId (a retry or outbox replay) gets the first one's reference.
+Event log batches (event-log.js) sent to POST /api/events are printed.
+  PORT=8080        port to listen on
+  FAIL_FIRST=2     answer the first N submissions with 503 to exercise retries
+  TAKEN_IDS=a,b    user IDs that are rejected as already taken
+  PATIENTS=first|last|YYYY-MM-DD|1234;...   patients already registered (last four SSN digits)
+  CHECK_DELAY=500  milliseconds to wait before answering a check
+*/
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const TAKEN_IDS = (process.env.TAKEN_IDS || 'admin,johndoe123').split(',');
+const CHECK_DELAY = parseInt(process.env.CHECK_DELAY, 10) || 300;
+let failuresLeft = parseInt(process.env.FAIL_FIRST, 10) || 0;
+
+// Patients already registered, as 'first|last|YYYY-MM-DD|last4' in lowercase
+const registeredPatients = (process.env.PATIENTS || 'jane|doe|1980-01-01|1234')
+    .split(';')
+    .map(patient => patient.toLowerCase());
+
+// Reference given to each accepted submissionId
+const acceptedSubmissions = new Map();
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Check the payload the way a real backend would and return field errors keyed by field id
+function validateRegistration(payload) {
+    const errors = {};
+    const patient = (payload && payload.patient) || {};
+    const personal = patient.personal || {};
+    const contact = patient.contact || {};
+    const account = patient.account || {};
+
+    ['first-name', 'last-name', 'dob', 'ssn'].forEach(id => {
+        if (!isText(personal[id])) errors[id] = 'This field is required';
+    });
+    if (!isText(contact.email)) errors.email = 'This field is required';
+    if (!isText(account.userid)) {
+        errors.userid = 'This field is required';
+    } else if (TAKEN_IDS.includes(account.userid.toLowerCase())) {
+        errors.userid = 'This user ID is already taken';
+    }
+    if (Object.keys(errors).length === 0 && registeredPatients.includes(
+        getPatientKey(personal['first-name'], personal['last-name'], personal.dob, personal.ssn))) {
+        errors.ssn = 'A patient with this name, date of birth and SSN is already registered';
+    }
+    if ('confirm-password' in account) {
+        errors['confirm-password'] = 'Confirm password should not be sent';
+    }
+
+    return errors;
+}
+
+// A non-empty string (anything else in the JSON is treated as missing)
+function isText(value) {
+    return typeof value === 'string' && value !== '';
+}
+
+// The parts may come straight from a request body, so they are turned into strings first
+function getPatientKey(firstName, lastName, dob, ssn) {
+    return [String(firstName).trim(), String(lastName).trim(), String(dob), String(ssn).replace(/\D/g, '').slice(-4)].join('|').toLowerCase();
+}
+
+// Read a JSON request body; resolves to null when it isn't JSON
+function readJsonBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+async function handleCheck(req, res, name) {
+    const payload = await readJsonBody(req);
+    if (!payload) {
+        sendJson(res, 400, { message: 'Body must be JSON' });
+        return;
+    }
+
+    let answer;
+    if (name === 'userid') {
+        answer = { available: !TAKEN_IDS.includes(String(payload.userid).toLowerCase()) };
+    } else if (name === 'duplicate-patient') {
+        const key = getPatientKey(payload.firstName || '', payload.lastName || '', payload.dob || '', payload.ssnLast4 || '');
+        answer = { duplicate: registeredPatients.includes(key) };
+    } else {
+        sendJson(res, 404, { message: 'Unknown check' });
+        return;
+    }
+
+    // Answer after a short delay, like a real server, so the pending state can be seen
+    setTimeout(() => {
+        console.log(`POST /api/checks/${name} ->`, answer);
+        sendJson(res, 200, answer);
+    }, CHECK_DELAY);
+}
+
+function handleRegistration(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log('POST /api/registrations -> 503 (simulated failure)');
+            sendJson(res, 503, { message: 'Service unavailable' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            sendJson(res, 400, { message: 'Body must be JSON' });
+            return;
+        }
+
+        if (acceptedSubmissions.has(payload.submissionId)) {
+            const reference = acceptedSubmissions.get(payload.submissionId);
+            console.log('POST /api/registrations -> 201 (repeat)', reference);
+            sendJson(res, 201, { reference: reference });
+            return;
+        }
+
+        const errors = validateRegistration(payload);
+        if (Object.keys(errors).length > 0) {
+            console.log('POST /api/registrations -> 422', errors);
+            sendJson(res, 422, { errors: errors });
+            return;
+        }
+
+        const personal = payload.patient.personal;
+        TAKEN_IDS.push(payload.patient.account.userid.toLowerCase());
+        registeredPatients.push(getPatientKey(personal['first-name'], personal['last-name'], personal.dob, personal.ssn));
+
+        const reference = 'WRD-' + Date.now().toString(36).toUpperCase();
+        if (payload.submissionId) acceptedSubmissions.set(payload.submissionId, reference);
+        console.log('POST /api/registrations -> 201', reference);
+        sendJson(res, 201, { reference: reference });
+    });
+}
+
+async function handleEvents(req, res) {
+    const payload = await readJsonBody(req);
+    if (!payload || !Array.isArray(payload.events)) {
+        sendJson(res, 400, { message: 'Body must be JSON with an events array' });
+        return;
+    }
+    payload.events.forEach(event => console.log('event', JSON.stringify(event)));
+    res.writeHead(204);
+    res.end();
+}
+
+// Files from this folder only: no paths outside it and no dotfiles or dot folders (.git)
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(__dirname, urlPath === '/' ? 'homework3.html' : urlPath);
+    const relativePath = path.relative(__dirname, filePath);
+
+    if (!filePath.startsWith(__dirname + path.sep) || relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    const urlPath = req.url.split('?')[0];
+    if (req.method === 'POST' && urlPath === '/api/registrations') {
+        handleRegistration(req, res);
+    } else if (req.method === 'POST' && urlPath.startsWith('/api/checks/')) {
+        handleCheck(req, res, urlPath.substring('/api/checks/'.length));
+    } else if (req.method === 'POST' && urlPath === '/api/events') {
+        handleEvents(req, res);
+    } else {
+        serveStatic(req, res);
+    }
+}).listen(PORT, () => {
+    console.log(`Mock registration server running at http://localhost:${PORT}/`);
+});
@@ -0,0 +1,117 @@
+/*
+Program name: password-strength.js
+Author: Muhammad Adnan
+Date created: December 15, 2025
+Date last edited: December 20, 2025
+Version: 1.0
+Description: Password strength meter, requirement checklist and common-password blocklist for patient-form
+
+The rules and the strength estimate are in validation-core.mjs; this file loads the blocklist, gathers the
+personal details from the form and draws the meter and checklist.
+*/
+
+// Filled from common-passwords.json; dictionary words are its letters-only entries of 4+ characters
+let commonPasswords = new Set();
+let dictionaryWords = new Set();
+
+// Load the blocklist and wire the meter when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    buildPasswordChecklist();
+    loadCommonPasswords();
+
+    document.getElementById('password').addEventListener('input', updatePasswordStrength);
+    document.getElementById('patient-form').addEventListener('reset', function() {
+        // Let the reset finish before reading the now empty password
+        setTimeout(updatePasswordStrength, 0);
+    });
+
+    // The personal-details rule depends on these fields too
+    ['userid', 'first-name', 'last-name', 'dob'].forEach(id => {
+        document.getElementById(id).addEventListener('input', revalidatePassword);
+    });
+});
+
+document.addEventListener('localechange', function() {
+    buildPasswordChecklist();
+    updatePasswordStrength();
+});
+
+async function loadCommonPasswords() {
+    try {
+        const response = await fetch('common-passwords.json');
+        if (!response.ok) {
+            throw new Error('Failed to load common passwords');
+        }
+        const data = await response.json();
+
+        commonPasswords = new Set(data.passwords);
+        dictionaryWords = new Set(data.passwords.filter(word => /^[a-z]{4,}$/.test(word)));
+
+        // A password typed before the list arrived is checked again
+        revalidatePassword();
+    } catch (error) {
+        // Without the list the other rules still apply
+        console.error('Error loading common passwords:', error);
+    }
+}
+
+function revalidatePassword() {
+    if (document.getElementById('password').value) {
+        validateSchemaField(getFieldSchema('password'));
+        updatePasswordStrength();
+    }
+}
+
+// What the core password rules need from the form: personal details and the blocklist
+function getPasswordContext() {
+    return {
+        personalValues: ValidationCore.getPersonalValues({
+            userId: document.getElementById('userid').value,
+            firstName: document.getElementById('first-name').value,
+            lastName: document.getElementById('last-name').value,
+            dob: parseLocalDate(document.getElementById('dob').value)
+        }),
+        commonPasswords: commonPasswords,
+        dictionaryWords: dictionaryWords
+    };
+}
+
+function buildPasswordChecklist() {
+    const checklist = document.getElementById('password-checklist');
+    checklist.textContent = '';
+    ValidationCore.PASSWORD_RULES.forEach(rule => {
+        const item = document.createElement('li');
+        item.dataset.rule = rule.id;
+        item.textContent = t(`password.rules.${rule.id}`, rule.text) + ' ';
+        // Screen readers hear whether each requirement is met; sighted users see the check mark
+        const status = document.createElement('span');
+        status.className = 'visually-hidden';
+        item.appendChild(status);
+        checklist.appendChild(item);
+    });
+}
+
+// Refresh the meter, its label and the checklist as the user types
+function updatePasswordStrength() {
+    const password = document.getElementById('password').value;
+    const meter = document.getElementById('password-meter');
+    const label = document.getElementById('password-strength-label');
+    const context = getPasswordContext();
+    const strength = ValidationCore.estimatePasswordStrength(password, context);
+    const rules = ValidationCore.checkPasswordRules(password, context);
+
+    meter.value = password ? strength.score + 1 : 0;
+    label.textContent = password
+        ? t('password.strength', 'Strength: {level}', {
+            level: t(`password.levels.${strength.score}`, ValidationCore.STRENGTH_LEVELS[strength.score])
+        })
+        : '';
+
+    document.querySelectorAll('#password-checklist li').forEach(item => {
+        const met = password !== '' && rules[item.dataset.rule];
+        item.classList.toggle('met', met);
+        item.querySelector('.visually-hidden').textContent = met
+            ? t('password.met', '(met)')
+            : t('password.notMet', '(not met)');
+    });
+}
@@ -0,0 +1,79 @@
+/*
+Program name: remote-checks.js
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Server checks for patient-form: user ID availability and duplicate patients (asyncValidator in form-schema.js)
+
+Both are POSTs to the checks API, api/checks by default or data-checks-endpoint on patient-form. Answers go in the
+body so they never end up in a URL, and the duplicate check sends only the last four digits of the SSN.
+mock-server.js answers both. A check that can't be made (offline, server error, no answer in time) resolves to
+null: the field passes but is marked as not checked, and is checked again on blur and at Submit (validation.js).
+The server checks again when the registration is submitted.
+*/
+
+// Checks API settings
+const REMOTE_CHECK_CONFIG = {
+    endpoint: 'api/checks',
+    timeoutMs: 8000
+};
+
+// { available: false } from the server means the user ID is taken
+async function checkUserIdAvailable(userId, context, signal) {
+    const data = await postCheck('userid', { userid: userId.toLowerCase() }, signal);
+    if (!data) return null;
+    return data.available === false ? 'taken' : true;
+}
+
+// Same first and last name, date of birth and last four SSN digits as a registered patient.
+// Passes without asking the server until the name and date of birth are filled in without errors; changing
+// them checks again (asyncDependsOn).
+async function checkDuplicatePatient(ssn, context, signal) {
+    const names = [context.firstName, context.lastName];
+    if (!context.dob || names.some(name => !name) || ['first-name', 'last-name', 'dob'].some(id => formErrors[id])) {
+        return true;
+    }
+
+    const data = await postCheck('duplicate-patient', {
+        firstName: context.firstName.trim(),
+        lastName: context.lastName.trim(),
+        dob: context.dob,
+        ssnLast4: ssn.replace(/\D/g, '').slice(-4)
+    }, signal);
+    if (!data) return null;
+    return data.duplicate === true ? 'duplicate' : true;
+}
+
+function getChecksEndpoint() {
+    const form = document.getElementById('patient-form');
+    return (form && form.dataset.checksEndpoint) || REMOTE_CHECK_CONFIG.endpoint;
+}
+
+// POST to one check and resolve to its JSON answer, or null when there is no usable answer.
+// Rejects only when signal is aborted, which means a newer check has replaced this one.
+// A request with no answer in time is aborted too, so it doesn't stay open.
+async function postCheck(name, body, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal.aborted) abort();
+    signal.addEventListener('abort', abort);
+    const timer = setTimeout(abort, REMOTE_CHECK_CONFIG.timeoutMs);
+
+    try {
+        const response = await fetch(getChecksEndpoint() + '/' + name, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        if (signal.aborted) throw error;
+        console.error('Error checking ' + name + ':', controller.signal.aborted ? 'no answer in time' : error);
+        return null;
+    } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', abort);
+    }
+}
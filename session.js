@@ -0,0 +1,355 @@
+/*
+Program name: session.js
+Author: Muhammad Adnan
+Date created: December 12, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Idle-aware session timeout with warning banner, autosave, lock screen and cross-tab sync
+
+The lock is kept in sessionStorage, so a reloaded tab starts locked, and a new tab asks the open ones whether they
+are locked. A tab that starts locked keeps the saved draft out of the form until the patient unlocks it.
+*/
+
+// Session settings (length and warning come from the site configuration)
+const SESSION_CONFIG = {
+    lengthMinutes: 15,
+    warningSeconds: 60,
+    broadcastThrottleMs: 5000,
+    // Wrong dates of birth allowed on the lock screen before starting over is the only way on
+    maxUnlockAttempts: 5,
+    // How long a new tab waits for the open tabs to say whether they are locked
+    lockStateWaitMs: 300
+};
+
+// Set while this tab is locked (cleared with the rest of the namespace on start over)
+const SESSION_LOCK_KEY = STORAGE_NAMESPACE + 'locked';
+// Wrong dates of birth so far, kept so a reload does not give the lock screen fresh attempts
+const UNLOCK_ATTEMPTS_KEY = STORAGE_NAMESPACE + 'unlock-attempts';
+
+// Activity that counts as the user being present (mouse movement alone does not)
+const SESSION_ACTIVITY_EVENTS = ['keydown', 'mousedown', 'wheel', 'touchstart'];
+
+// Session state
+let sessionExpiresAt = 0;
+let sessionLocked = false;
+let sessionTimer = null;
+let lastActivityBroadcast = 0;
+// Draft values kept off the form while a tab that started locked waits to be unlocked
+let lockedDraftValues = null;
+
+// Keeps every open tab on the same timer
+const sessionChannel = 'BroadcastChannel' in window ? new BroadcastChannel('werdocs-session') : null;
+
+// Settles once this tab knows whether it starts locked
+const sessionLockCheck = checkSessionLock();
+
+// Initialize session handling once the DOM and the site configuration are loaded
+document.addEventListener('DOMContentLoaded', function() {
+    siteConfigReady.then(config => {
+        SESSION_CONFIG.lengthMinutes = config.session.lengthMinutes;
+        SESSION_CONFIG.warningSeconds = config.session.warningSeconds;
+        initializeSession();
+    });
+});
+
+function initializeSession() {
+    SESSION_ACTIVITY_EVENTS.forEach(eventName => {
+        document.addEventListener(eventName, handleUserActivity, { passive: true });
+    });
+
+    document.getElementById('session-extend-button').addEventListener('click', function() {
+        resetSession(true);
+    });
+    document.getElementById('session-unlock-button').addEventListener('click', handleSessionUnlock);
+    document.getElementById('session-lock-dob').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') handleSessionUnlock();
+    });
+    document.getElementById('session-not-me-button').addEventListener('click', startOverFromLock);
+    // The dialog is modal: Tab and Shift+Tab stay inside it, and focus that gets out is brought back
+    document.getElementById('session-lock').addEventListener('keydown', trapLockFocus);
+    document.addEventListener('focusin', function(e) {
+        if (sessionLocked && !document.getElementById('session-lock').contains(e.target)) {
+            getLockFocusables()[0].focus();
+        }
+    });
+
+    if (sessionChannel) {
+        sessionChannel.onmessage = handleSessionMessage;
+    }
+
+    resetSession(false);
+    sessionTimer = setInterval(updateSessionTimer, 1000);
+    sessionLockCheck.then(locked => {
+        if (locked) lockSession(false);
+    });
+}
+
+// Locked before a reload, or opened while the other tabs are locked
+function checkSessionLock() {
+    if (sessionStorage.getItem(SESSION_LOCK_KEY)) return Promise.resolve(true);
+    if (!sessionChannel) return Promise.resolve(false);
+    return new Promise(resolve => {
+        const timer = setTimeout(finish, SESSION_CONFIG.lockStateWaitMs, false);
+        function handleAnswer(event) {
+            if (event.data.type === 'lock-state') finish(event.data.locked);
+        }
+        function finish(locked) {
+            clearTimeout(timer);
+            sessionChannel.removeEventListener('message', handleAnswer);
+            if (locked) sessionStorage.setItem(SESSION_LOCK_KEY, '1');
+            resolve(locked);
+        }
+        sessionChannel.addEventListener('message', handleAnswer);
+        sessionChannel.postMessage({ type: 'lock-state-request' });
+    });
+}
+
+// Whether the form has to stay empty for now (loadFormData asks before filling it)
+async function isSessionLockedNow() {
+    await sessionLockCheck;
+    return Boolean(sessionStorage.getItem(SESSION_LOCK_KEY));
+}
+
+// Called by loadFormData in a locked tab: the draft goes into the form once the patient unlocks
+function holdDraftUntilUnlock(values) {
+    lockedDraftValues = values;
+    if (sessionLocked) {
+        showLockOverlay();
+    } else {
+        lockSession(false);
+    }
+}
+
+function postSessionMessage(message) {
+    if (sessionChannel) {
+        sessionChannel.postMessage(message);
+    }
+}
+
+// Start a fresh session period, optionally telling the other tabs
+function resetSession(broadcast) {
+    sessionExpiresAt = Date.now() + SESSION_CONFIG.lengthMinutes * 60 * 1000;
+    hideSessionWarning();
+    updateSessionTimer();
+
+    if (broadcast) {
+        lastActivityBroadcast = Date.now();
+        postSessionMessage({ type: 'activity', expiresAt: sessionExpiresAt });
+    }
+}
+
+// Real keyboard/mouse activity restarts the session (other tabs are told at most every few seconds)
+function handleUserActivity() {
+    if (sessionLocked) return;
+    const broadcast = Date.now() - lastActivityBroadcast > SESSION_CONFIG.broadcastThrottleMs;
+    resetSession(broadcast);
+}
+
+// Messages from other tabs
+function handleSessionMessage(event) {
+    const message = event.data;
+
+    if (message.type === 'activity' && !sessionLocked && message.expiresAt > sessionExpiresAt) {
+        sessionExpiresAt = message.expiresAt;
+        hideSessionWarning();
+        updateSessionTimer();
+    } else if (message.type === 'expired') {
+        lockSession(false);
+    } else if (message.type === 'unlock' && sessionLocked) {
+        unlockSession(false);
+        sessionExpiresAt = message.expiresAt;
+    } else if (message.type === 'reset') {
+        location.reload();
+    } else if (message.type === 'lock-state-request') {
+        postSessionMessage({ type: 'lock-state', locked: sessionLocked });
+    }
+}
+
+// Update the countdown, warn near the end and lock when it runs out
+function updateSessionTimer() {
+    if (sessionLocked) return;
+
+    const timerDisplay = document.getElementById('session-timer');
+    const remaining = Math.max(0, Math.ceil((sessionExpiresAt - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    const seconds = remaining % 60;
+
+    const time = document.createElement('strong');
+    time.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    timerDisplay.replaceChildren(`⏱️ ${t('session.remaining', 'Session time remaining:')} `, time);
+
+    if (remaining === 0) {
+        logEvent('session-expired', {});
+        lockSession(true);
+    } else if (remaining <= SESSION_CONFIG.warningSeconds) {
+        showSessionWarning(remaining);
+    }
+}
+
+function showSessionWarning(remaining) {
+    document.getElementById('session-warning-text').textContent =
+        '⚠️ ' + t('session.warning', 'Your session will lock in {seconds} seconds because of inactivity.', { seconds: remaining });
+    document.getElementById('session-warning').style.display = 'flex';
+}
+
+function hideSessionWarning() {
+    document.getElementById('session-warning').style.display = 'none';
+}
+
+// Save the draft, clear sensitive fields and cover the form until the user confirms who they are
+function lockSession(broadcast) {
+    if (sessionLocked) return;
+    sessionLocked = true;
+    sessionStorage.setItem(SESSION_LOCK_KEY, '1');
+
+    autosaveDraft();
+    clearSensitiveFields();
+    hideSessionWarning();
+    if (isKioskMode()) closeKioskStaffView();
+    showLockOverlay();
+
+    document.getElementById('session-timer').textContent = '🔒 ' + t('session.locked', 'Session locked');
+
+    if (broadcast) {
+        postSessionMessage({ type: 'expired' });
+    }
+}
+
+function unlockSession(broadcast) {
+    sessionLocked = false;
+    sessionStorage.removeItem(SESSION_LOCK_KEY);
+    sessionStorage.removeItem(UNLOCK_ATTEMPTS_KEY);
+    document.getElementById('session-lock').style.display = 'none';
+    resetSession(false);
+
+    if (lockedDraftValues) {
+        const values = lockedDraftValues;
+        lockedDraftValues = null;
+        applyDraftValues(values);
+    }
+
+    if (broadcast) {
+        postSessionMessage({ type: 'unlock', expiresAt: sessionExpiresAt });
+    }
+}
+
+// Save every persistent field to the draft (the draft store still honors Remember Me)
+function autosaveDraft() {
+    FORM_FIELDS.forEach(field => {
+        if (field.persist) {
+            saveToDraft(field.id, getFieldValue(field));
+        }
+    });
+}
+
+function clearSensitiveFields() {
+    FORM_FIELDS.forEach(field => {
+        if (!field.sensitive) return;
+        // A server check still under way would otherwise answer for the value that was cleared
+        cancelAsyncValidation(field.id);
+        const element = document.getElementById(field.id);
+        if (!element) return;
+        showSuccess(field.id);
+        element.value = '';
+        element.classList.remove('input-success', 'input-error');
+        element.removeAttribute('aria-invalid');
+    });
+    updatePasswordStrength();
+    checkFormValidity();
+}
+
+// A field's value on the form, or in the held draft while the form waits to be filled
+function getLockedFieldValue(fieldId) {
+    if (lockedDraftValues) return isoToLocalDate(lockedDraftValues[fieldId] || '');
+    return document.getElementById(fieldId).value;
+}
+
+function showLockOverlay() {
+    const firstName = getLockedFieldValue('first-name');
+    const dob = getLockedFieldValue('dob');
+
+    document.getElementById('session-lock-greeting').textContent = firstName
+        ? t('session.areYou', 'Are you {name}?', { name: firstName })
+        : t('session.confirmPerson', 'Please confirm you are the person who was filling out this form.');
+
+    // Ask for the date of birth only when one was entered
+    document.getElementById('session-lock-dob-row').style.display = dob ? 'block' : 'none';
+    document.getElementById('session-lock-dob').value = '';
+    document.getElementById('session-lock-error').style.display = 'none';
+    document.getElementById('session-unlock-button').hidden = false;
+
+    document.getElementById('session-lock').style.display = 'flex';
+    if (getFailedUnlockAttempts() >= SESSION_CONFIG.maxUnlockAttempts) {
+        showTooManyAttempts();
+        return;
+    }
+    document.getElementById(dob ? 'session-lock-dob' : 'session-unlock-button').focus();
+}
+
+function getFailedUnlockAttempts() {
+    return Number(sessionStorage.getItem(UNLOCK_ATTEMPTS_KEY)) || 0;
+}
+
+// No more tries: the lock screen says so and only starting over (or a new kiosk patient) is left
+function showTooManyAttempts() {
+    const errorSpan = document.getElementById('session-lock-error');
+    errorSpan.textContent = t('session.tooManyAttempts', 'That date of birth did not match too many times. Please start over.');
+    errorSpan.style.display = 'block';
+    document.getElementById('session-lock-dob-row').style.display = 'none';
+    document.getElementById('session-unlock-button').hidden = true;
+    document.getElementById('session-not-me-button').focus();
+}
+
+// Check the date of birth against the form before unlocking
+function handleSessionUnlock() {
+    const dob = getLockedFieldValue('dob');
+    const enteredDob = document.getElementById('session-lock-dob').value.trim();
+    const errorSpan = document.getElementById('session-lock-error');
+
+    if (dob && enteredDob !== dob) {
+        const failedAttempts = getFailedUnlockAttempts() + 1;
+        sessionStorage.setItem(UNLOCK_ATTEMPTS_KEY, String(failedAttempts));
+        if (failedAttempts >= SESSION_CONFIG.maxUnlockAttempts) {
+            showTooManyAttempts();
+            return;
+        }
+        errorSpan.textContent = t('session.dobMismatch', 'That date of birth does not match. Try again or start over.');
+        errorSpan.style.display = 'block';
+        return;
+    }
+
+    unlockSession(true);
+}
+
+// Not Me: clear the form in every tab
+function startOverFromLock() {
+    postSessionMessage({ type: 'reset' });
+    clearAllData();
+}
+
+// Buttons and inputs of the lock dialog that can take focus right now
+function getLockFocusables() {
+    const dialog = document.querySelector('.session-lock-dialog');
+    return Array.from(dialog.querySelectorAll('button, input')).filter(element => {
+        for (let node = element; node !== dialog; node = node.parentElement) {
+            if (node.hidden || node.style.display === 'none') return false;
+        }
+        return true;
+    });
+}
+
+// Wrap Tab from the last control to the first and Shift+Tab from the first to the last
+function trapLockFocus(e) {
+    if (e.key !== 'Tab') return;
+    const focusables = getLockFocusables();
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
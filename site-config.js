@@ -0,0 +1,171 @@
+/*
+Program name: site-config.js
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Site configuration for both pages: clinic branding, contact details, session length, form sections and themes
+
+Each clinic's settings live in site-config.json, loaded at startup the way loadStates loads states.json. Its values
+are laid over SITE_CONFIG_DEFAULTS (the original clinic), so a file may leave out anything it doesn't change; if it
+can't be loaded the defaults are used. Scripts that need it wait for siteConfigReady or call getSiteConfig():
+  clinic        { name, logo, address }  address is a list of lines
+  contact       { email, phone }
+  social        [{ name, url }]          footer links
+  session       { lengthMinutes, warningSeconds }
+  sections      ids of the FORM_SECTIONS to show; personal and account are always shown
+  optionSources { states, zipCodes }     JSON files for the state list and ZIP code autofill
+  theme         default theme (light, dark or high-contrast) until the user picks one
+*/
+
+// Used for anything site-config.json leaves out
+const SITE_CONFIG_DEFAULTS = {
+    clinic: {
+        name: "We'R'Docs Medical",
+        logo: 'medical-logo.svg',
+        address: ['PO BOX 18881', 'Sugar Land, TX 77496']
+    },
+    contact: {
+        email: 'info@werdocsmedical.com',
+        phone: '(281) 555-0123'
+    },
+    social: [
+        { name: 'Facebook', url: '#' },
+        { name: 'Twitter', url: '#' },
+        { name: 'LinkedIn', url: '#' }
+    ],
+    session: {
+        lengthMinutes: 15,
+        warningSeconds: 60
+    },
+    sections: ['personal', 'address', 'contact', 'medical', 'additional', 'account'],
+    optionSources: {
+        states: 'states.json',
+        zipCodes: 'zipcodes.json'
+    },
+    theme: 'light'
+};
+const SITE_CONFIG_URL = 'site-config.json';
+
+// Themes are sets of CSS variables in style.css, chosen with data-theme on the html element
+const SITE_THEMES = ['light', 'dark', 'high-contrast'];
+// Theme the user picked, over the site's default until they start over
+const THEME_STORAGE_KEY = 'werdocs:theme';
+
+let siteConfig = SITE_CONFIG_DEFAULTS;
+
+// Set the saved theme right away so the page doesn't flash in the default one
+applyTheme(localStorage.getItem(THEME_STORAGE_KEY) || SITE_CONFIG_DEFAULTS.theme);
+
+const siteConfigReady = loadSiteConfig();
+
+document.addEventListener('DOMContentLoaded', function() {
+    const themeSelect = document.getElementById('theme-select');
+    if (themeSelect) {
+        themeSelect.value = document.documentElement.dataset.theme;
+        themeSelect.addEventListener('change', function() {
+            localStorage.setItem(THEME_STORAGE_KEY, this.value);
+            applyTheme(this.value);
+        });
+    }
+
+    siteConfigReady.then(renderSiteConfig);
+});
+
+// Fetch site-config.json and lay it over the defaults. Always resolves, to the defaults if the file can't be used.
+async function loadSiteConfig() {
+    try {
+        const response = await fetch(SITE_CONFIG_URL);
+        if (!response.ok) {
+            throw new Error('Failed to load site configuration');
+        }
+        siteConfig = mergeSiteConfig(SITE_CONFIG_DEFAULTS, await response.json());
+    } catch (error) {
+        console.error('Error loading site configuration:', error);
+    }
+    return siteConfig;
+}
+
+// Settings groups (clinic, contact, ...) are merged key by key; lists and single values are replaced.
+// A group given as anything else ("clinic": "Bayou", a list) is ignored.
+function mergeSiteConfig(defaults, overrides) {
+    const config = {};
+    Object.keys(defaults).forEach(key => {
+        const value = overrides[key];
+        if (value === undefined || value === null) {
+            config[key] = defaults[key];
+        } else if (isSettingsGroup(defaults[key])) {
+            config[key] = isSettingsGroup(value) ? Object.assign({}, defaults[key], value) : defaults[key];
+        } else {
+            config[key] = value;
+        }
+    });
+    return config;
+}
+
+function isSettingsGroup(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Current settings: the defaults until site-config.json has loaded
+function getSiteConfig() {
+    return siteConfig;
+}
+
+// Fill in the clinic's name, logo, address and links wherever the page marks them with data-site
+function renderSiteConfig(config) {
+    const clinic = config.clinic;
+
+    document.title = document.title.replace(SITE_CONFIG_DEFAULTS.clinic.name, clinic.name);
+
+    document.querySelectorAll('[data-site="clinic-name"]').forEach(element => {
+        element.textContent = clinic.name;
+    });
+
+    const logo = document.getElementById('logo');
+    if (logo) {
+        logo.src = clinic.logo;
+        logo.alt = clinic.name + ' Logo';
+    }
+
+    document.querySelectorAll('[data-site="clinic-address"]').forEach(element => {
+        const lines = [];
+        clinic.address.forEach((line, index) => {
+            if (index > 0) lines.push(document.createElement('br'));
+            lines.push(line);
+        });
+        element.replaceChildren(...lines);
+    });
+
+    document.querySelectorAll('[data-site="social-links"]').forEach(element => {
+        const links = [];
+        config.social.forEach((site, index) => {
+            if (index > 0) links.push(' | ');
+            const link = document.createElement('a');
+            link.href = site.url;
+            link.className = 'social-link';
+            link.textContent = site.name;
+            links.push(link);
+        });
+        element.replaceChildren(...links);
+    });
+
+    if (!localStorage.getItem(THEME_STORAGE_KEY)) {
+        applyTheme(config.theme);
+    }
+}
+
+// Switch to one of SITE_THEMES (anything else means light)
+function applyTheme(theme) {
+    const name = SITE_THEMES.includes(theme) ? theme : 'light';
+    document.documentElement.dataset.theme = name;
+
+    const themeSelect = document.getElementById('theme-select');
+    if (themeSelect) themeSelect.value = name;
+}
+
+// Contact us function
+function contactUs() {
+    const contact = getSiteConfig().contact;
+    alert(t('footer.contactInfo', 'Contact information:') + '\nEmail: ' + contact.email + '\nPhone: ' + contact.phone);
+}
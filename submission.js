@@ -0,0 +1,377 @@
+/*
+Program name: submission.js
+Author: Muhammad Adnan
+Date created: December 11, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Sends the registration as a JSON POST with retries, maps server field errors and queues offline submissions in IndexedDB
+
+Queued registrations are encrypted with the session key from draft-store.js, so they can only be sent from a tab of
+the browser session that queued them. One that no open tab can read is deleted once it is queueTtlHours old, and the
+page says it was not sent.
+
+Each registration carries a submissionId, made once for the form and sent again with every retry and outbox replay
+(also as the Idempotency-Key header), so the server can tell a repeat from a new patient.
+*/
+
+// Submission settings (the endpoint can be overridden with data-endpoint on patient-form)
+const SUBMISSION_CONFIG = {
+    endpoint: 'api/registrations',
+    maxRetries: 3,
+    retryDelay: 1000,
+    thankYouPage: 'thankyou.html',
+    // How long a queued registration waits for a tab that can read it
+    queueTtlHours: 24
+};
+
+// IndexedDB outbox for submissions made while offline
+const QUEUE_DB_NAME = 'werdocs-submissions';
+const QUEUE_STORE_NAME = 'outbox';
+// Web Lock held while the outbox is being sent, so two tabs never send the same entry
+const QUEUE_LOCK_NAME = 'werdocs-outbox';
+
+// Set while this tab is sending the outbox
+let submissionFlushRunning = false;
+
+// Set while a registration is being sent; Submit and the review panel's CONFIRM & SUBMIT stay disabled
+let submissionInProgress = false;
+// submissionId of the registration on the form (a new one once the form is cleared for someone else)
+let registrationId = null;
+
+// Send anything left in the outbox when the page loads or the connection comes back
+window.addEventListener('online', flushSubmissionQueue);
+document.addEventListener('DOMContentLoaded', function() {
+    if (navigator.onLine) {
+        flushSubmissionQueue();
+    }
+    const form = document.getElementById('patient-form');
+    if (form) {
+        form.addEventListener('reset', function() {
+            registrationId = null;
+        });
+    }
+});
+
+// On the form page, say so when a queued registration was deleted unsent (thankyou.js reports it on its own page)
+window.addEventListener('registration-expired', function() {
+    const notice = document.getElementById('queue-notice');
+    if (!notice) return;
+    // Kept translatable through its data-i18n key
+    notice.dataset.i18n = 'alerts.queueExpired';
+    notice.dataset.i18nDefault = 'A registration saved while you were offline could not be sent and has been deleted. Please register again.';
+    notice.textContent = t(notice.dataset.i18n, notice.dataset.i18nDefault);
+    notice.hidden = false;
+});
+
+// Endpoint for this page
+function getSubmissionEndpoint() {
+    const form = document.getElementById('patient-form');
+    return (form && form.dataset.endpoint) || SUBMISSION_CONFIG.endpoint;
+}
+
+// Build the JSON payload from the field schema, grouped by form section
+function buildSubmissionPayload() {
+    const patient = {};
+
+    FORM_SECTIONS.forEach(section => {
+        patient[section.id] = {};
+    });
+
+    FORM_FIELDS.forEach(field => {
+        // Fields hidden by the form rules are not sent
+        if (field.submit === false || !isFieldActive(field)) return;
+        let value = getFieldValue(field);
+        if (field.lowercase) value = value.toLowerCase();
+        if (field.serialize) value = field.serialize(value);
+        if (field.type === 'checkbox') value = value ? value.split(',') : [];
+        if (field.type === 'list') value = serializeListRows(field, value);
+        patient[field.section][field.id] = value;
+    });
+
+    if (!registrationId) registrationId = createRandomId();
+    return {
+        submissionId: registrationId,
+        submittedAt: new Date().toISOString(),
+        patient: patient
+    };
+}
+
+// Submit the registration and move on to the thank-you page when it is accepted.
+// A second call while one is under way does nothing.
+async function submitRegistration() {
+    if (submissionInProgress) return;
+
+    const payload = buildSubmissionPayload();
+    const endpoint = getSubmissionEndpoint();
+    const submitButton = document.getElementById('submit-button');
+    // The buttons stay disabled once the page is moving on to the thank-you page
+    let movedOn = false;
+
+    setSubmissionInProgress(true);
+    submitButton.value = t('buttons.submitting', 'Submitting...');
+
+    try {
+        if (!navigator.onLine) {
+            movedOn = await queueOfflineRegistration(endpoint, payload);
+            return;
+        }
+
+        let response;
+        try {
+            response = await postWithRetry(endpoint, payload);
+        } catch (error) {
+            console.error('Error submitting registration:', error);
+            // fetch rejects with a TypeError when the request never got an answer: keep it and send it once we're back online
+            if (error instanceof TypeError) {
+                movedOn = await queueOfflineRegistration(endpoint, payload);
+                return;
+            }
+            logEvent('submission', { outcome: 'failed' });
+            alert(t('alerts.serverUnreachable', 'We could not reach the registration server. Please try again later.'));
+            return;
+        }
+        const data = await readJson(response);
+
+        if (response.ok) {
+            logEvent('submission', { outcome: 'accepted' });
+            await saveRegistrationSummary(buildRegistrationSummary(payload.submittedAt));
+            movedOn = true;
+            goToThankYouPage({ ref: data.reference || '' });
+            return;
+        }
+
+        if (data.errors) {
+            logEvent('submission', { outcome: 'rejected', fields: Object.keys(data.errors) });
+            showServerErrors(data.errors);
+        } else {
+            logEvent('submission', { outcome: 'failed', status: response.status });
+            alert(t('alerts.submitFailed', 'We could not process your registration. Please try again later.'));
+        }
+    } catch (error) {
+        // The server may already have accepted it, so it is neither queued nor sent again
+        console.error('Error submitting registration:', error);
+        logEvent('submission', { outcome: 'failed' });
+        alert(t('alerts.submitFailed', 'We could not process your registration. Please try again later.'));
+    } finally {
+        if (!movedOn) {
+            setSubmissionInProgress(false);
+            submitButton.value = t('buttons.submit', 'Submit Registration');
+        }
+    }
+}
+
+function setSubmissionInProgress(inProgress) {
+    submissionInProgress = inProgress;
+    const reviewSubmitButton = document.getElementById('review-submit-button');
+    if (reviewSubmitButton) reviewSubmitButton.disabled = inProgress;
+    checkFormValidity();
+}
+
+// Keep a registration made offline and move on to the thank-you page, or say so if it can't be kept.
+// Resolves to true once it is on its way to the thank-you page.
+async function queueOfflineRegistration(endpoint, payload) {
+    try {
+        await queueSubmission(endpoint, payload);
+    } catch (error) {
+        console.error('Error queuing registration:', error);
+        logEvent('submission', { outcome: 'failed' });
+        alert(t('alerts.queueFailed', 'You appear to be offline, and your registration could not be saved to send later. Please try again once you are back online.'));
+        return false;
+    }
+    logEvent('submission', { outcome: 'queued' });
+    await saveRegistrationSummary(buildRegistrationSummary(payload.submittedAt));
+    await goToThankYouPage({ queued: '1' });
+    return true;
+}
+
+// POST JSON, retrying network failures and server errors with exponential backoff
+async function postWithRetry(url, payload) {
+    // Serialized outside the loop so the only errors caught below are fetch's own
+    const body = JSON.stringify(payload);
+    let lastError;
+
+    for (let attempt = 0; attempt <= SUBMISSION_CONFIG.maxRetries; attempt++) {
+        if (attempt > 0) {
+            await wait(SUBMISSION_CONFIG.retryDelay * Math.pow(2, attempt - 1));
+        }
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Idempotency-Key': payload.submissionId
+                },
+                body: body
+            });
+            if (response.status < 500) {
+                return response;
+            }
+            lastError = new Error('Server error ' + response.status);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Parse a JSON body, tolerating empty or non-JSON responses
+async function readJson(response) {
+    try {
+        return await response.json();
+    } catch (error) {
+        return {};
+    }
+}
+
+// Show server-side field errors ({ "field-id": "message" }) in the matching error spans.
+// Errors for fields that aren't on the form can't be fixed there, so they are shown in one message instead.
+function showServerErrors(errors) {
+    const otherErrors = [];
+    Object.keys(errors).forEach(fieldId => {
+        if (!getFieldSchema(fieldId)) {
+            otherErrors.push(errors[fieldId]);
+            return;
+        }
+        showError(fieldId, errors[fieldId]);
+        formErrors[fieldId] = errors[fieldId];
+        delete formErrorReasons[fieldId];
+    });
+    checkFormValidity();
+    clearReview();
+    reportFormErrors();
+
+    if (otherErrors.length > 0) {
+        alert(t('alerts.submitRejected', 'We could not accept your registration:') + '\n' + otherErrors.join('\n'));
+    }
+}
+
+async function goToThankYouPage(params) {
+    // A kiosk does not keep the draft of a patient who has registered
+    if (isKioskMode()) await discardPatientDraft();
+    window.location.href = SUBMISSION_CONFIG.thankYouPage + '?' + new URLSearchParams(params).toString();
+}
+
+// Open (and create on first use) the outbox database
+function openSubmissionQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, 1);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(QUEUE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the outbox store
+async function withQueueStore(mode, action) {
+    const db = await openSubmissionQueue();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUE_STORE_NAME, mode);
+        const request = action(transaction.objectStore(QUEUE_STORE_NAME));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+// The payload is stored encrypted ({ iv, data }); it holds the SSN and password
+async function queueSubmission(endpoint, payload) {
+    const sealed = await sealWithSessionKey(payload);
+    return withQueueStore('readwrite', store => store.add({ endpoint: endpoint, iv: sealed.iv, data: sealed.data, queuedAt: Date.now() }));
+}
+
+function getQueuedSubmissions() {
+    return withQueueStore('readonly', store => store.getAll());
+}
+
+function removeQueuedSubmission(id) {
+    return withQueueStore('readwrite', store => store.delete(id));
+}
+
+function isQueuedSubmissionExpired(item) {
+    return Date.now() - item.queuedAt > SUBMISSION_CONFIG.queueTtlHours * 60 * 60 * 1000;
+}
+
+async function removeExpiredSubmission(item) {
+    try {
+        await removeQueuedSubmission(item.id);
+    } catch (error) {
+        console.error('Error removing expired registration:', error);
+        return;
+    }
+    window.dispatchEvent(new CustomEvent('registration-expired'));
+}
+
+// Send queued submissions; each one that is accepted is removed and announced with its reference.
+// Only one flush runs at a time in this tab, and (where Web Locks exist) across tabs.
+async function flushSubmissionQueue() {
+    if (!window.indexedDB || submissionFlushRunning) return;
+
+    submissionFlushRunning = true;
+    try {
+        if (navigator.locks) {
+            await navigator.locks.request(QUEUE_LOCK_NAME, sendQueuedSubmissions);
+        } else {
+            await sendQueuedSubmissions();
+        }
+    } finally {
+        submissionFlushRunning = false;
+    }
+}
+
+async function sendQueuedSubmissions() {
+    let queued;
+    try {
+        queued = await getQueuedSubmissions();
+    } catch (error) {
+        console.error('Error reading submission queue:', error);
+        return;
+    }
+
+    for (const item of queued) {
+        let payload = null;
+        try {
+            payload = await openWithSessionKey(item);
+        } catch (error) {
+            console.error('Error reading queued registration:', error);
+        }
+        // Queued in a browser session whose key no open tab has; it waits for a tab that does until it expires
+        if (!payload) {
+            if (isQueuedSubmissionExpired(item)) {
+                await removeExpiredSubmission(item);
+            }
+            continue;
+        }
+
+        try {
+            const response = await postWithRetry(item.endpoint, payload);
+            const data = await readJson(response);
+            // Accepted or rejected by the server, either way it must not be resent
+            await removeQueuedSubmission(item.id);
+            if (response.ok) {
+                window.dispatchEvent(new CustomEvent('registration-sent', {
+                    detail: { reference: data.reference || '' }
+                }));
+            } else {
+                window.dispatchEvent(new CustomEvent('registration-rejected', {
+                    detail: { errors: data.errors || {} }
+                }));
+            }
+        } catch (error) {
+            console.error('Error sending queued registration:', error);
+            return;
+        }
+    }
+}
@@ -0,0 +1,379 @@
+/*
+Program name: summary.js
+Author: Muhammad Adnan
+Date created: December 18, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Printable and PDF registration summary built from the reviewed form data
+
+The summary is plain data ({ locale, preparedAt, submittedAt, reference, sections }) so the thank-you page can show,
+print and download it after the form page is gone. SSNs show only their last four digits and passwords are never included.
+It is handed over in sessionStorage encrypted with the session key from draft-store.js, like the draft and the outbox.
+*/
+
+// Kept per tab; removed on start over with the rest of the werdocs: keys
+const SUMMARY_STORAGE_KEY = 'werdocs:summary';
+
+// Letter-size PDF layout, in points
+const PDF_PAGE = { width: 612, height: 792, margin: 54 };
+
+// Summary of the form as it is now; submittedAt is the payload's timestamp once the registration is sent
+function buildRegistrationSummary(submittedAt) {
+    const answers = getFormAnswers();
+    const sections = [];
+
+    FORM_SECTIONS.forEach(section => {
+        const rows = [];
+        FORM_FIELDS.forEach(field => {
+            if (field.section !== section.id || !isFieldActive(field, answers)) return;
+
+            const summaryValue = getSummaryValue(field);
+            if (summaryValue === null) return;
+            rows.push(Object.assign({ label: getFieldLabel(field) }, summaryValue));
+        });
+        if (rows.length > 0) {
+            sections.push({ title: getSectionTitle(section), rows: rows });
+        }
+    });
+
+    return {
+        locale: currentLocale,
+        preparedAt: new Date().toISOString(),
+        submittedAt: submittedAt || null,
+        reference: '',
+        sections: sections
+    };
+}
+
+// { value } or { table } for one field, or null when the field must stay off the summary.
+// Masked fields are left out unless the schema says how to show them (summary: 'last4').
+function getSummaryValue(field) {
+    if (field.summary === false || (field.mask && !field.summary)) return null;
+
+    if (field.type === 'list') {
+        const table = getListDisplayTable(field);
+        if (table.rows.length === 0) {
+            return { value: t(`fields.${field.id}.empty`, field.emptyText) };
+        }
+        return { table: table };
+    }
+
+    const value = getFieldValue(field);
+    if (field.summary === 'last4') {
+        // Every digit but the last four becomes * ("***-**-6789")
+        return { value: value.replace(/\d(?=(?:\D*\d){4})/g, '*') };
+    }
+    return { value: formatReviewValue(field) };
+}
+
+// Review panel buttons: a summary of the form as it is now, before it is submitted
+function printReviewSummary() {
+    printRegistrationSummary(buildRegistrationSummary());
+}
+
+function downloadReviewSummary() {
+    downloadRegistrationSummary(buildRegistrationSummary());
+}
+
+// Keep the summary (encrypted) for the thank-you page
+async function saveRegistrationSummary(summary) {
+    sessionStorage.setItem(SUMMARY_STORAGE_KEY, JSON.stringify(await sealWithSessionKey(summary)));
+}
+
+// The saved summary, or null when there is none or it can't be opened
+async function loadRegistrationSummary() {
+    try {
+        const sealed = JSON.parse(sessionStorage.getItem(SUMMARY_STORAGE_KEY));
+        return sealed ? await openWithSessionKey(sealed) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A new registration starts without the previous patient's summary
+function clearRegistrationSummary() {
+    sessionStorage.removeItem(SUMMARY_STORAGE_KEY);
+}
+
+// "Submitted: December 18, 2025 at 10:42 AM", or the prepared time for a summary printed before submitting
+function getSummaryTimestamp(summary) {
+    const tag = (LOCALES[summary.locale] || getLocaleInfo()).tag;
+    const format = iso => new Date(iso).toLocaleString(tag, { dateStyle: 'long', timeStyle: 'short' });
+
+    return summary.submittedAt
+        ? t('summary.submitted', 'Submitted: {time}', { time: format(summary.submittedAt) })
+        : t('summary.prepared', 'Prepared: {time} (not yet submitted)', { time: format(summary.preparedAt) });
+}
+
+// Clinic address on one line, from the site configuration
+function getClinicAddress() {
+    return getSiteConfig().clinic.address.join(', ');
+}
+
+// Text of the consent and signature block
+function getConsentText() {
+    return {
+        title: t('summary.consentTitle', 'Consent and Signature'),
+        statement: t('summary.consent', 'I confirm that the information in this summary is accurate and complete to the best of my knowledge, and I consent to {clinic} using it to provide my care and to bill my insurance.', { clinic: getSiteConfig().clinic.name }),
+        signature: t('summary.signature', 'Patient or parent/guardian signature'),
+        date: t('summary.date', 'Date'),
+        staff: t('summary.staff', 'Received by (staff initials)')
+    };
+}
+
+// Build the summary as page content. Everything is set with textContent; the values are typed by the patient.
+function renderRegistrationSummary(summary) {
+    const article = document.createElement('article');
+    article.className = 'registration-summary';
+
+    const header = document.createElement('header');
+    header.appendChild(createTextElement('p', getSiteConfig().clinic.name, 'summary-clinic'));
+    header.appendChild(createTextElement('p', getClinicAddress(), 'summary-address'));
+    header.appendChild(createTextElement('h2', t('summary.title', 'Patient Registration Summary')));
+    header.appendChild(createTextElement('p', getSummaryTimestamp(summary), 'summary-meta'));
+    if (summary.reference) {
+        header.appendChild(createTextElement('p', t('summary.reference', 'Confirmation number: {reference}', { reference: summary.reference }), 'summary-meta'));
+    }
+    article.appendChild(header);
+
+    summary.sections.forEach(section => {
+        const block = document.createElement('section');
+        block.appendChild(createTextElement('h3', section.title));
+
+        const list = document.createElement('dl');
+        section.rows.forEach(row => {
+            list.appendChild(createTextElement('dt', row.label));
+            const detail = document.createElement('dd');
+            if (row.table) {
+                detail.appendChild(renderSummaryTable(row.table));
+            } else {
+                detail.textContent = row.value;
+            }
+            list.appendChild(detail);
+        });
+        block.appendChild(list);
+        article.appendChild(block);
+    });
+
+    const consent = getConsentText();
+    const consentBlock = document.createElement('section');
+    consentBlock.className = 'summary-consent';
+    consentBlock.appendChild(createTextElement('h3', consent.title));
+    consentBlock.appendChild(createTextElement('p', consent.statement));
+    [[consent.signature, consent.date], [consent.staff, consent.date]].forEach(labels => {
+        const line = document.createElement('div');
+        line.className = 'signature-line';
+        labels.forEach(label => line.appendChild(createTextElement('span', label)));
+        consentBlock.appendChild(line);
+    });
+    article.appendChild(consentBlock);
+
+    return article;
+}
+
+function renderSummaryTable(table) {
+    const element = document.createElement('table');
+    const headerRow = element.createTHead().insertRow();
+    table.headers.forEach(text => {
+        const th = createTextElement('th', text);
+        th.scope = 'col';
+        headerRow.appendChild(th);
+    });
+    const body = element.createTBody();
+    table.rows.forEach(row => {
+        const tr = body.insertRow();
+        row.forEach(text => {
+            tr.insertCell().textContent = text;
+        });
+    });
+    return element;
+}
+
+function createTextElement(tagName, text, className) {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    if (className) element.className = className;
+    return element;
+}
+
+// Print only the summary: it is placed in #print-summary and the print stylesheet hides the rest of the page
+function printRegistrationSummary(summary) {
+    let host = document.getElementById('print-summary');
+    if (!host) {
+        host = document.createElement('div');
+        host.id = 'print-summary';
+        document.body.appendChild(host);
+    }
+    host.textContent = '';
+    host.appendChild(renderRegistrationSummary(summary));
+
+    document.body.classList.add('printing-summary');
+    window.addEventListener('afterprint', function() {
+        document.body.classList.remove('printing-summary');
+    }, { once: true });
+    window.print();
+}
+
+// Save the summary as a PDF file made in the browser (nothing is sent anywhere)
+function downloadRegistrationSummary(summary) {
+    const blob = new Blob([createSummaryPdf(summary)], { type: 'application/pdf' });
+    const day = (summary.submittedAt || summary.preparedAt).substr(0, 10);
+    downloadFile(blob, `registration-summary-${day}.pdf`);
+}
+
+// Save a file made in the page (also used for the event log export)
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Lines of the PDF: { text, bold, size, indent, space (points above the line), rule (draw a line under it) }
+function getSummaryPdfLines(summary) {
+    const lines = [
+        { text: getSiteConfig().clinic.name, bold: true, size: 16 },
+        { text: getClinicAddress(), size: 9 },
+        { text: t('summary.title', 'Patient Registration Summary'), bold: true, size: 13, space: 10 },
+        { text: getSummaryTimestamp(summary), size: 9 }
+    ];
+    if (summary.reference) {
+        lines.push({ text: t('summary.reference', 'Confirmation number: {reference}', { reference: summary.reference }), size: 9 });
+    }
+    lines[lines.length - 1].rule = true;
+
+    summary.sections.forEach(section => {
+        lines.push({ text: section.title, bold: true, size: 11, space: 12 });
+        section.rows.forEach(row => {
+            if (!row.table) {
+                lines.push({ text: `${row.label}: ${row.value}`, size: 10, indent: 10 });
+                return;
+            }
+            // Tables become one line per row: "Medication: Lisinopril, Dose: 10 mg, How Often: Once a day"
+            lines.push({ text: row.label + ':', size: 10, indent: 10 });
+            row.table.rows.forEach(cells => {
+                const text = cells.map((cell, index) => `${row.table.headers[index]}: ${cell || '-'}`).join(', ');
+                lines.push({ text: '- ' + text, size: 10, indent: 20 });
+            });
+        });
+    });
+
+    const consent = getConsentText();
+    lines.push({ text: consent.title, bold: true, size: 11, space: 16 });
+    lines.push({ text: consent.statement, size: 10 });
+    lines.push({ text: `${consent.signature}: ______________________________   ${consent.date}: ____________`, size: 10, space: 24 });
+    lines.push({ text: `${consent.staff}: ______________________________   ${consent.date}: ____________`, size: 10, space: 18 });
+
+    return lines;
+}
+
+// Write a minimal PDF 1.4 file: Helvetica text on Letter pages, long lines wrapped
+function createSummaryPdf(summary) {
+    const usableWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+    const pages = [[]];
+    let y = PDF_PAGE.height - PDF_PAGE.margin;
+
+    getSummaryPdfLines(summary).forEach(line => {
+        const indent = line.indent || 0;
+        const leading = line.size * 1.35;
+        // Helvetica averages about half an em per character
+        const maxChars = Math.floor((usableWidth - indent) / (line.size * (line.bold ? 0.56 : 0.52)));
+
+        wrapPdfText(toPdfText(line.text), maxChars).forEach((text, index) => {
+            const space = index === 0 ? (line.space || 0) : 0;
+            if (y - space - leading < PDF_PAGE.margin) {
+                pages.push([]);
+                y = PDF_PAGE.height - PDF_PAGE.margin;
+            } else {
+                y -= space;
+            }
+            y -= leading;
+            const font = line.bold ? 'F2' : 'F1';
+            pages[pages.length - 1].push(`BT /${font} ${line.size} Tf ${PDF_PAGE.margin + indent} ${y.toFixed(1)} Td (${escapePdfText(text)}) Tj ET`);
+        });
+
+        if (line.rule) {
+            y -= 6;
+            pages[pages.length - 1].push(`${PDF_PAGE.margin} ${y.toFixed(1)} m ${PDF_PAGE.width - PDF_PAGE.margin} ${y.toFixed(1)} l 0.5 w S`);
+        }
+    });
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream for each page
+    const objects = [];
+    const pageIds = pages.map((page, index) => 5 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => id + ' 0 R').join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    pages.forEach((commands, index) => {
+        const content = commands.join('\n');
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Every character is one byte (see toPdfText), so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += String(offsets[id]).padStart(10, '0') + ' 00000 n \n';
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) {
+        bytes[i] = pdf.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// The standard PDF fonts only cover Latin-1, so other letters lose their accents ("Việt" -> "Viet")
+function toPdfText(text) {
+    const replacements = { '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...', 'đ': 'd', 'Đ': 'D' };
+    return Array.from(String(text).normalize('NFC')).map(char => {
+        if (replacements[char]) return replacements[char];
+        if (char.charCodeAt(0) < 256) return char;
+        const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return base.length === 1 && base.charCodeAt(0) < 256 ? base : '?';
+    }).join('');
+}
+
+function escapePdfText(text) {
+    return text.replace(/[\\()]/g, '\\$&');
+}
+
+// Break text into lines of at most maxChars, at spaces where possible
+function wrapPdfText(text, maxChars) {
+    const lines = [];
+    let current = '';
+    text.split(' ').forEach(word => {
+        while (word.length > maxChars) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(word.substr(0, maxChars));
+            word = word.substr(maxChars);
+        }
+        if (current && (current + ' ' + word).length > maxChars) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = current ? current + ' ' + word : word;
+        }
+    });
+    lines.push(current);
+    return lines;
+}
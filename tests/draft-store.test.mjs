@@ -0,0 +1,140 @@
+/*
+Program name: draft-store.test.mjs
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of the draft store: sealing values, key handover between tabs, drafts that can't be opened, dates
+kept as YYYY-MM-DD and old plain-text keys
+*/
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, typeInto, check } from './load-page.mjs';
+
+const windows = [];
+
+async function open(options) {
+    const window = await loadPage('homework3.html', '', options);
+    windows.push(window);
+    return window;
+}
+
+afterEach(() => {
+    windows.splice(0).forEach(window => window.close());
+});
+
+// A tab with a saved draft for Ana; returns the tab and what a second tab would find in storage
+async function openTabWithDraft(options) {
+    const window = await open(options);
+    typeInto(window, 'first-name', 'Ana');
+    await window.eval('draftSaveQueue');
+    return { window: window, record: window.localStorage.getItem('werdocs:draft') };
+}
+
+function withSavedDraft(record) {
+    return window => {
+        window.localStorage.setItem('werdocs:draft', record);
+        window.document.cookie = 'firstName=Ana;path=/';
+    };
+}
+
+describe('session key encryption', () => {
+    it('seals a value so it can only be read back with the session key', async () => {
+        const window = await open();
+        const payload = { patient: { personal: { ssn: '123-45-6789' } } };
+        const sealed = await window.sealWithSessionKey(payload);
+
+        assert.equal(JSON.stringify(sealed).includes('6789'), false);
+        assert.equal((await window.openWithSessionKey(sealed)).patient.personal.ssn, '123-45-6789');
+
+        window.sessionStorage.clear();
+        window.eval('sessionKeyRequest = null');
+        assert.equal(await window.openWithSessionKey(sealed), null);
+    });
+});
+
+describe('dates in the draft', () => {
+    function vaccinationDateCell(window) {
+        return window.document.querySelector('#vaccination-dates-group input[data-mask="date"]');
+    }
+
+    it('keeps them as YYYY-MM-DD so a draft saved in one language opens with the same dates in another', async () => {
+        const first = await open({ setup: window => window.localStorage.setItem('werdocs:language', 'vi') });
+        typeInto(first, 'first-name', 'Ana');
+        typeInto(first, 'dob', '31/12/1990');
+        check(first, 'vaccinated-yes');
+        check(first, 'covid19');
+        const cell = vaccinationDateCell(first);
+        cell.value = '15/03/2021';
+        cell.dispatchEvent(new first.Event('input', { bubbles: true }));
+        await first.eval('draftSaveQueue');
+
+        const values = first.eval('draftValues');
+        assert.equal(values.dob, '1990-12-31');
+        assert.equal(values['vaccination-dates'][0].date, '2021-03-15');
+
+        // The same tab reloaded in English
+        const local = { ...first.localStorage, 'werdocs:language': 'en' };
+        const session = { ...first.sessionStorage };
+        const second = await open({
+            setup(window) {
+                Object.entries(local).forEach(([key, value]) => window.localStorage.setItem(key, value));
+                Object.entries(session).forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+                window.document.cookie = 'firstName=Ana;path=/';
+            }
+        });
+        assert.equal(second.document.getElementById('dob').value, '12/31/1990');
+        assert.equal(vaccinationDateCell(second).value, '03/15/2021');
+    });
+});
+
+describe('plain-text keys from the first version', () => {
+    function withLegacyKeys(window) {
+        window.localStorage.setItem('dob', '01/02/1990');
+        window.localStorage.setItem('vaccinations', 'covid19');
+    }
+
+    it('removes them once', async () => {
+        const window = await open({ setup: withLegacyKeys });
+        assert.equal(window.localStorage.getItem('dob'), null);
+        assert.equal(window.localStorage.getItem('vaccinations'), null);
+        assert.equal(window.localStorage.getItem('werdocs:legacy-removed'), '1');
+    });
+
+    it('leaves keys of the same name alone after that', async () => {
+        const window = await open({
+            setup(window) {
+                window.localStorage.setItem('werdocs:legacy-removed', '1');
+                withLegacyKeys(window);
+            }
+        });
+        assert.equal(window.localStorage.getItem('dob'), '01/02/1990');
+
+        window.clearNamespacedStorage();
+        assert.equal(window.localStorage.getItem('werdocs:legacy-removed'), '1');
+    });
+});
+
+describe('draft across tabs', () => {
+    it('opens the draft in a second tab with the key handed over by the first', async () => {
+        const { record } = await openTabWithDraft({ shareTabs: true });
+        const second = await open({ shareTabs: true, setup: withSavedDraft(record) });
+
+        assert.equal(second.document.getElementById('first-name').value, 'Ana');
+        assert.equal(second.eval('draftReady'), true);
+    });
+
+    it('leaves a draft it can\'t open alone and says so', async () => {
+        const { record } = await openTabWithDraft();
+        const second = await open({ setup: withSavedDraft(record) });
+
+        assert.equal(second.document.getElementById('draft-status').dataset.i18n, 'privacy.draftUnavailable');
+        assert.equal(second.document.getElementById('first-name').value, '');
+
+        // Typing in this tab does not overwrite it
+        typeInto(second, 'first-name', 'Ben');
+        await second.eval('draftSaveQueue');
+        assert.equal(second.localStorage.getItem('werdocs:draft'), record);
+    });
+});
@@ -0,0 +1,116 @@
+/*
+Program name: event-log.test.mjs
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of the event log: which events are recorded, that no values are, batching and opt-out
+*/
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, typeInto } from './load-page.mjs';
+
+let window;
+let document;
+
+beforeEach(async () => {
+    window = await loadPage();
+    document = window.document;
+});
+
+afterEach(() => {
+    window.close();
+});
+
+function loggedEvents(type) {
+    return JSON.parse(window.exportEventLog()).events.filter(event => !type || event.type === type);
+}
+
+// Strip the time and visit id so events can be compared
+function describeEvents(type) {
+    return loggedEvents(type).map(({ at, visit, ...event }) => event);
+}
+
+describe('event log', () => {
+    it('records each failed rule once, and never the value', () => {
+        typeInto(window, 'ssn', '666123456');
+        typeInto(window, 'ssn', '666123457');
+        typeInto(window, 'ssn', '000123456');
+        typeInto(window, 'ssn', '123456789');
+        typeInto(window, 'ssn', '666123456');
+
+        assert.deepEqual(describeEvents('validation-failed'), [
+            { type: 'validation-failed', field: 'ssn', rule: 'invalidArea' },
+            { type: 'validation-failed', field: 'ssn', rule: 'invalidArea' }
+        ]);
+        assert.equal(window.exportEventLog().includes('666'), false);
+    });
+
+    it('records fields focused and completed and the time spent in a section', () => {
+        const firstName = document.getElementById('first-name');
+        firstName.focus();
+        typeInto(window, 'first-name', 'John');
+        document.getElementById('address1').focus();
+
+        assert.deepEqual(describeEvents().filter(event => event.type !== 'validation-failed'), [
+            { type: 'field-focused', field: 'first-name', section: 'personal' },
+            { type: 'field-completed', field: 'first-name' },
+            { type: 'section-time', section: 'personal', seconds: 0 },
+            { type: 'field-focused', field: 'address1', section: 'address' }
+        ]);
+    });
+
+    it('records the review, submit attempts and session expiry', () => {
+        window.showReview();
+        window.submitForm();
+        window.eval('sessionExpiresAt = Date.now()');
+        window.updateSessionTimer();
+
+        const errors = loggedEvents('review-opened')[0].errors;
+        assert.ok(errors > 0);
+        const attempt = loggedEvents('submit-attempted')[0];
+        assert.equal(attempt.errors, errors);
+        assert.ok(attempt.fields.includes('first-name'));
+        assert.equal(loggedEvents('session-expired').length, 1);
+    });
+
+    it('sends full batches to the events endpoint', async () => {
+        const batches = [];
+        window.fetch = async (url, init) => {
+            batches.push({ url: url, body: JSON.parse(init.body) });
+            return { ok: true, status: 204 };
+        };
+
+        for (let i = 0; i < 20; i++) {
+            window.logEvent('review-opened', { errors: i });
+        }
+        assert.equal(batches.length, 1);
+        assert.equal(batches[0].url, 'api/events');
+        assert.equal(batches[0].body.events.length, 20);
+        assert.equal(window.eval('eventQueue').length, 0);
+    });
+
+    it('downloads the log from the Download Activity Log button', () => {
+        let downloads = 0;
+        window.downloadEventLog = () => downloads++;
+        document.getElementById('event-log-button').click();
+        assert.equal(downloads, 1);
+    });
+
+    it('downloads the log as a JSON file', () => {
+        let file = null;
+        window.downloadFile = (blob, fileName) => { file = { blob: blob, fileName: fileName }; };
+        window.downloadEventLog();
+
+        assert.match(file.fileName, /^event-log-\d{4}-\d{2}-\d{2}\.json$/);
+        assert.equal(file.blob.type, 'application/json');
+    });
+
+    it('records nothing without Remember Me', () => {
+        document.getElementById('remember-me').checked = false;
+        typeInto(window, 'ssn', '666123456');
+        window.showReview();
+        assert.deepEqual(loggedEvents(), []);
+    });
+});
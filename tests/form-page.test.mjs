@@ -0,0 +1,246 @@
+/*
+Program name: form-page.test.mjs
+Author: Muhammad Adnan
+Date created: December 20, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of homework3.html: error display, formatting as the user types and submit gating
+*/
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, typeInto, check, fillValidForm, waitForChecks } from './load-page.mjs';
+
+let window;
+let document;
+
+beforeEach(async () => {
+    window = await loadPage();
+    document = window.document;
+});
+
+afterEach(() => {
+    window.close();
+});
+
+function errorText(id) {
+    return document.getElementById(id + '-error').textContent;
+}
+
+function submitEnabled() {
+    return !document.getElementById('submit-button').disabled;
+}
+
+describe('field errors', () => {
+    it('shows the schema message for a bad last name', () => {
+        typeInto(window, 'last-name', 'D0e');
+        assert.equal(errorText('last-name'), 'Last name must be 1-30 characters, letters, apostrophes, and dashes only');
+        assert.equal(document.getElementById('last-name').getAttribute('aria-invalid'), 'true');
+
+        typeInto(window, 'last-name', 'Doe');
+        assert.equal(errorText('last-name'), '');
+        assert.equal(document.getElementById('last-name').getAttribute('aria-invalid'), null);
+    });
+
+    it('shows the message for the reason code the rule returned', () => {
+        typeInto(window, 'ssn', '666123456');
+        assert.equal(errorText('ssn'), 'SSN cannot start with 000, 666 or 9');
+        typeInto(window, 'phone', '713-555-0123');
+        assert.equal(errorText('phone'), '555-01XX numbers are reserved and cannot be reached');
+    });
+
+    it('formats the SSN, phone and ZIP as they are typed', () => {
+        assert.equal(typeInto(window, 'ssn', '123456789').value, '123-45-6789');
+        assert.equal(typeInto(window, 'phone', '(713) 555 1234').value, '713-555-1234');
+        assert.equal(typeInto(window, 'zip', '770011234').value, '77001-1234');
+    });
+
+    it('keeps the caret in place when editing the middle of a masked field', () => {
+        const ssn = typeInto(window, 'ssn', '123456789');
+        ssn.focus();
+        // Type a 0 after the 4: "123-4|5-6789"
+        ssn.value = '123-405-6789';
+        ssn.setSelectionRange(6, 6);
+        ssn.dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.equal(ssn.value, '123-40-5678');
+        assert.equal(ssn.selectionStart, 7);
+    });
+
+    it('removes the digit before a dash on Backspace', () => {
+        const phone = typeInto(window, 'phone', '7135551234');
+        phone.focus();
+        phone.setSelectionRange(4, 4);
+        const keydown = new window.KeyboardEvent('keydown', { key: 'Backspace', bubbles: true, cancelable: true });
+        phone.dispatchEvent(keydown);
+        assert.equal(keydown.defaultPrevented, true);
+        assert.equal(phone.value, '715-551-234');
+        assert.equal(phone.selectionStart, 2);
+    });
+
+    it('formats a phone number and a date typed one key at a time', () => {
+        // Each key goes in at the caret, then the input listeners run
+        function pressKeys(id, keys) {
+            const input = document.getElementById(id);
+            input.focus();
+            for (const key of keys) {
+                const caret = input.selectionStart;
+                input.value = input.value.slice(0, caret) + key + input.value.slice(caret);
+                input.setSelectionRange(caret + 1, caret + 1);
+                input.dispatchEvent(new window.Event('input', { bubbles: true }));
+            }
+            return input;
+        }
+
+        const phone = pressKeys('phone', '+1 713 555 0123');
+        assert.equal(phone.value, '713-555-0123');
+        assert.equal(phone.selectionStart, 12);
+
+        const dob = pressKeys('dob', '3/');
+        assert.equal(dob.value, '03/');
+        // Backspace after a slash the user typed just removes it
+        const keydown = new window.KeyboardEvent('keydown', { key: 'Backspace', bubbles: true, cancelable: true });
+        dob.dispatchEvent(keydown);
+        assert.equal(keydown.defaultPrevented, false);
+        pressKeys('dob', '/4/1990');
+        assert.equal(dob.value, '03/04/1990');
+        assert.equal(dob.selectionStart, 10);
+    });
+
+    it('formats pasted phone numbers and dates and adds slashes to dates', () => {
+        assert.equal(typeInto(window, 'phone', '+1 (713) 555-1234').value, '713-555-1234');
+        assert.equal(errorText('phone'), '');
+        typeInto(window, 'phone', '+44 20 7946 0958');
+        assert.equal(errorText('phone'), 'Only US and Canadian (+1) phone numbers can be entered');
+        assert.equal(typeInto(window, 'dob', '01021990').value, '01/02/1990');
+        assert.equal(typeInto(window, 'dob', '1/2/1990').value, '01/02/1990');
+        assert.equal(typeInto(window, 'dob', '1990-12-31').value, '12/31/1990');
+        assert.equal(errorText('dob'), '');
+    });
+
+    it('masks date cells added to the medical history', () => {
+        check(window, 'covid19');
+        const cell = document.querySelector('#vaccination-dates-group input[data-mask="date"]');
+        cell.value = '03152021';
+        cell.dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.equal(cell.value, '03/15/2021');
+    });
+
+    it('passes the other answers a rule depends on', () => {
+        typeInto(window, 'password', 'Tr0ub4dor&3x');
+        typeInto(window, 'confirm-password', 'Tr0ub4dor&3y');
+        assert.equal(errorText('confirm-password'), 'Passwords must match');
+        typeInto(window, 'confirm-password', 'Tr0ub4dor&3x');
+        assert.equal(errorText('confirm-password'), '');
+
+        // A password containing the patient's name fails once the name is known
+        typeInto(window, 'first-name', 'Troub');
+        typeInto(window, 'password', 'Tr0ub4dor&3x');
+        typeInto(window, 'password', 'Troub4dor&3x!');
+        assert.equal(errorText('password'), 'Password cannot contain your user ID, name or date of birth');
+    });
+
+    it('checks the ZIP code against the selected state', () => {
+        const state = document.getElementById('state');
+        state.value = 'CA';
+        state.dispatchEvent(new window.Event('change', { bubbles: true }));
+        typeInto(window, 'zip', '77001');
+        // Autofill replaces a state that was not picked by hand, so pick it again after typing the ZIP
+        state.value = 'CA';
+        typeInto(window, 'zip', '77001');
+        assert.equal(window.eval('formErrorReasons').zip, 'stateMismatch');
+    });
+
+    it('reads dates in the order of the selected language', async () => {
+        typeInto(window, 'dob', '25/12/1990');
+        assert.notEqual(errorText('dob'), '');
+
+        await window.setLanguage('es');
+        typeInto(window, 'dob', '25/12/1990');
+        assert.equal(errorText('dob'), '');
+        assert.equal(typeInto(window, 'dob', '1990-12-25').value, '25/12/1990');
+    });
+});
+
+describe('password visibility', () => {
+    it('shows the value and switches the eye icon, and hides it again', () => {
+        const toggle = document.querySelector('[data-toggle-password="password"]');
+        const icon = () => [...toggle.querySelectorAll('svg > *')].map(shape => shape.tagName + ':' + shape.namespaceURI);
+
+        toggle.click();
+        assert.equal(document.getElementById('password').type, 'text');
+        assert.deepEqual(icon(), ['path:http://www.w3.org/2000/svg', 'line:http://www.w3.org/2000/svg']);
+
+        toggle.click();
+        assert.equal(document.getElementById('password').type, 'password');
+        assert.deepEqual(icon(), ['path:http://www.w3.org/2000/svg', 'circle:http://www.w3.org/2000/svg']);
+    });
+});
+
+describe('restoring answers', () => {
+    it('ignores a saved radio value that matches no option, even with quotes in it', () => {
+        const gender = window.getFieldSchema('gender');
+        assert.doesNotThrow(() => window.setFieldValue(gender, 'x"] , *[name="'));
+        assert.equal(document.querySelector('input[name="gender"]:checked'), null);
+
+        window.setFieldValue(gender, document.querySelector('input[name="gender"]').value);
+        assert.notEqual(document.querySelector('input[name="gender"]:checked'), null);
+    });
+});
+
+describe('submit gating', () => {
+    it('starts with Submit disabled and the hint shown', () => {
+        assert.equal(submitEnabled(), false);
+        assert.equal(document.getElementById('submit-hint').hidden, false);
+    });
+
+    it('enables Submit once every required field is valid', async () => {
+        await fillValidForm(window);
+        assert.equal(submitEnabled(), true);
+        assert.equal(document.getElementById('submit-hint').hidden, true);
+    });
+
+    it('disables Submit again when a field becomes invalid or is cleared', async () => {
+        await fillValidForm(window);
+        typeInto(window, 'email', 'john.doe@');
+        assert.equal(submitEnabled(), false);
+        typeInto(window, 'email', 'john.doe@example.com');
+        assert.equal(submitEnabled(), true);
+
+        typeInto(window, 'city', '');
+        assert.equal(submitEnabled(), false);
+    });
+
+    it('keeps an invalid optional field from being submitted', async () => {
+        await fillValidForm(window);
+        typeInto(window, 'middle-initial', 'QR');
+        assert.equal(submitEnabled(), false);
+        typeInto(window, 'middle-initial', '');
+        assert.equal(submitEnabled(), true);
+    });
+
+    it('follows the form rules for fields that are only sometimes required', async () => {
+        await fillValidForm(window);
+
+        // Insurance details are required only while insurance is yes
+        check(window, 'insurance-yes');
+        assert.equal(submitEnabled(), false);
+        typeInto(window, 'insurance-carrier', 'Blue Cross');
+        typeInto(window, 'member-id', 'ABC-123');
+        const holder = document.getElementById('policy-holder');
+        holder.value = 'self';
+        holder.dispatchEvent(new window.Event('change', { bubbles: true }));
+        assert.equal(submitEnabled(), true);
+
+        // A minor needs a parent or guardian on file
+        typeInto(window, 'dob', '05/05/2016');
+        assert.equal(submitEnabled(), false);
+        typeInto(window, 'guardian-name', "Mary O'Neil");
+        const relationship = document.getElementById('guardian-relationship');
+        relationship.value = 'parent';
+        relationship.dispatchEvent(new window.Event('change', { bubbles: true }));
+        typeInto(window, 'guardian-phone', '7135551234');
+        // The new date of birth is checked for a duplicate patient again
+        await waitForChecks(window);
+        assert.equal(submitEnabled(), true);
+    });
+});
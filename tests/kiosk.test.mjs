@@ -0,0 +1,209 @@
+/*
+Program name: kiosk.test.mjs
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of staff/kiosk mode: several patient drafts, the staff PIN, resume, delete, purge and New Patient
+*/
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, typeInto } from './load-page.mjs';
+
+let window;
+let document;
+
+async function openKiosk(search = '?kiosk=on', options) {
+    window = await loadPage('homework3.html', search, options);
+    document = window.document;
+}
+
+// Reload the page in the same tab: both storages carry over
+async function reload() {
+    const saved = [window.localStorage, window.sessionStorage].map(storage => ({ ...storage }));
+    window.close();
+    await openKiosk('', {
+        setup(next) {
+            [next.localStorage, next.sessionStorage].forEach((storage, index) => {
+                Object.entries(saved[index]).forEach(([key, value]) => storage.setItem(key, value));
+            });
+        }
+    });
+}
+
+afterEach(() => {
+    window.close();
+});
+
+// Type a patient's name and wait for the draft to be saved and the list redrawn
+async function enterPatient(firstName, lastName) {
+    typeInto(window, 'first-name', firstName);
+    typeInto(window, 'last-name', lastName);
+    await window.eval('draftSaveQueue');
+    await window.renderKioskDrafts();
+}
+
+// Staff open the draft list with their PIN (the first one entered on a device becomes its PIN)
+async function openStaffView(pin = '1234') {
+    document.getElementById('kiosk-pin').value = pin;
+    await window.handleKioskStaffPin();
+    await window.renderKioskDrafts();
+}
+
+async function listedNames() {
+    await openStaffView();
+    return [...document.querySelectorAll('.kiosk-draft-name')].map(name => name.textContent).sort();
+}
+
+describe('kiosk mode', () => {
+    it('is off unless turned on, and stays on once turned on', async () => {
+        await openKiosk('');
+        assert.equal(document.getElementById('kiosk-panel').hidden, true);
+        window.close();
+
+        await openKiosk();
+        assert.equal(document.getElementById('kiosk-panel').hidden, false);
+        assert.equal(document.getElementById('remember-me-row').hidden, true);
+        assert.equal(window.localStorage.getItem('werdocs:kiosk'), JSON.stringify({ purgeHours: 8 }));
+    });
+
+    it('turns Remember Me off but keeps saving the patient\'s draft', async () => {
+        await openKiosk();
+        const rememberMe = document.getElementById('remember-me');
+        assert.equal(rememberMe.checked, false);
+
+        await enterPatient('Ana', 'Lopez');
+        assert.deepEqual(await listedNames(), ['Ana Lopez']);
+        // Nothing else that follows Remember Me is kept
+        assert.equal(window.exportEventLog(), JSON.stringify({ events: [] }, null, 2));
+
+        await window.startNewPatient();
+        assert.equal(rememberMe.checked, false);
+    });
+
+    it('carries on with the same patient after a reload', async () => {
+        await openKiosk();
+        await enterPatient('Ana', 'Lopez');
+        await reload();
+        await window.eval('draftSaveQueue');
+
+        assert.equal(document.getElementById('first-name').value, 'Ana');
+        await enterPatient('Anna', 'Lopez');
+        assert.deepEqual(await listedNames(), ['Anna Lopez']);
+    });
+
+    it('keeps a draft per patient and starts a new patient without reloading', async () => {
+        await openKiosk();
+        window.pageMarker = 'same page';
+        await enterPatient('Ana', 'Lopez');
+
+        await window.startNewPatient();
+        assert.equal(window.pageMarker, 'same page');
+        assert.equal(document.getElementById('first-name').value, '');
+        assert.equal(document.getElementById('submit-button').disabled, true);
+
+        await enterPatient('Ben', 'Tran');
+        assert.deepEqual(await listedNames(), ['Ana Lopez', 'Ben Tran']);
+        assert.equal(document.querySelector('.kiosk-draft-current .kiosk-draft-name').textContent, 'Ben Tran');
+    });
+
+    it('resumes another patient\'s draft', async () => {
+        await openKiosk();
+        await enterPatient('Ana', 'Lopez');
+        await window.startNewPatient();
+        await enterPatient('Ben', 'Tran');
+
+        await window.resumeKioskDraft(await findSlotId('Ana'));
+        assert.equal(document.getElementById('first-name').value, 'Ana');
+        assert.equal(document.getElementById('last-name').value, 'Lopez');
+
+        // Editing Ana's draft leaves Ben's alone
+        await enterPatient('Anna', 'Lopez');
+        assert.deepEqual(await listedNames(), ['Anna Lopez', 'Ben Tran']);
+    });
+
+    it('deletes one draft without touching the others', async () => {
+        await openKiosk();
+        await enterPatient('Ana', 'Lopez');
+        await window.startNewPatient();
+        await enterPatient('Ben', 'Tran');
+
+        await window.deleteKioskDraft(await findSlotId('Ana'));
+        assert.deepEqual(await listedNames(), ['Ben Tran']);
+        assert.equal(document.getElementById('first-name').value, 'Ben');
+
+        // Deleting the patient being edited clears the form for the next one
+        await window.deleteKioskDraft(await findSlotId('Ben'));
+        assert.deepEqual(await listedNames(), []);
+        assert.equal(document.getElementById('first-name').value, '');
+        assert.equal(document.getElementById('kiosk-empty').hidden, false);
+    });
+
+    it('purges drafts not changed within the chosen time', async () => {
+        await openKiosk();
+        await enterPatient('Ana', 'Lopez');
+        await window.startNewPatient();
+        await enterPatient('Ben', 'Tran');
+
+        // Make Ana's draft two hours old
+        const key = 'werdocs:draft:' + await findSlotId('Ana');
+        const record = JSON.parse(window.localStorage.getItem(key));
+        record.updatedAt -= 2 * 60 * 60 * 1000;
+        window.localStorage.setItem(key, JSON.stringify(record));
+
+        await window.renderKioskDrafts();
+        assert.deepEqual(await listedNames(), ['Ana Lopez', 'Ben Tran']);
+
+        const purge = document.getElementById('kiosk-purge-hours');
+        purge.value = '1';
+        purge.dispatchEvent(new window.Event('change', { bubbles: true }));
+        await window.renderKioskDrafts();
+        assert.deepEqual(await listedNames(), ['Ben Tran']);
+        assert.equal(window.localStorage.getItem(key), null);
+    });
+
+    it('lists the drafts only after the staff PIN and hides them again for the next patient', async () => {
+        await openKiosk();
+        await enterPatient('Ana', 'Lopez');
+        await window.startNewPatient();
+        assert.equal(document.getElementById('kiosk-staff-view').hidden, true);
+        assert.equal(document.querySelectorAll('.kiosk-draft').length, 0);
+
+        // The first PIN becomes this device's; a wrong one afterwards opens nothing
+        assert.deepEqual(await listedNames(), ['Ana Lopez']);
+        window.closeKioskStaffView();
+        await openStaffView('9999');
+        assert.equal(document.getElementById('kiosk-staff-view').hidden, true);
+        assert.equal(document.getElementById('kiosk-pin-error').textContent, 'That PIN is not correct.');
+        assert.equal(JSON.stringify(JSON.parse(window.localStorage.getItem('werdocs:kiosk'))).includes('1234'), false);
+
+        await openStaffView('1234');
+        assert.equal(document.getElementById('kiosk-staff-view').hidden, false);
+        window.lockSession(false);
+        assert.equal(document.getElementById('kiosk-staff-view').hidden, true);
+        assert.equal(document.querySelectorAll('.kiosk-draft').length, 0);
+    });
+
+    it('keeps drafts this tab has no key for until they expire', async () => {
+        await openKiosk();
+        await enterPatient('Ana', 'Lopez');
+        const key = 'werdocs:draft:' + window.getDraftSlotId();
+        const record = window.localStorage.getItem(key);
+        window.close();
+
+        // Another tab (new browser session) on the same device
+        await openKiosk('?kiosk=on', { setup: next => next.localStorage.setItem(key, record) });
+        assert.equal(window.listDraftSlots().some(slot => key.endsWith(slot.id)), true);
+        assert.equal(window.localStorage.getItem(key), record);
+    });
+});
+
+// Id of the listed draft whose name contains the given text
+async function findSlotId(text) {
+    for (const slot of window.listDraftSlots()) {
+        const values = await window.peekDraftSlot(slot.id);
+        if (values && values['first-name'].includes(text)) return slot.id;
+    }
+    return null;
+}
@@ -0,0 +1,172 @@
+/*
+Program name: load-page.mjs
+Author: Muhammad Adnan
+Date created: December 20, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Loads a page of the site into jsdom for the headless tests
+
+The page gets an http://localhost/ address (storage needs a real origin) and its files are read from disk.
+jsdom does not run ES modules, so validation-core.mjs is imported here and handed to the page as
+window.ValidationCore, which is what validation-core-global.mjs does in a browser. fetch() reads the JSON files
+from disk, the server checks (remote-checks.js) are answered like mock-server.js with its default data, and dialogs
+and scrolling are stubbed. Each check request is recorded in window.checkRequests. A siteConfig option is served
+in place of site-config.json, setup(window) runs before the page's scripts (to put a saved draft or cookie in
+place), and shareTabs gives the page the BroadcastChannel it would share with other tabs (pages loaded with it
+act as tabs of one browser).
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, ResourceLoader, VirtualConsole } from 'jsdom';
+import * as ValidationCore from '../validation-core.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// mock-server.js defaults: taken user IDs and one registered patient
+const TAKEN_IDS = ['admin', 'johndoe123'];
+const REGISTERED_PATIENTS = ['jane|doe|1980-01-01|1234'];
+
+// Serves script, iframe and image requests from the repository folder
+class DiskLoader extends ResourceLoader {
+    fetch(url) {
+        return Promise.resolve(fs.readFileSync(path.join(ROOT, new URL(url).pathname)));
+    }
+}
+
+function readFromDisk(url) {
+    const file = path.join(ROOT, new URL(String(url), 'http://localhost/').pathname);
+    if (!fs.existsSync(file)) return { ok: false, status: 404, json: async () => ({}) };
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+}
+
+function answerCheck(name, body) {
+    if (name === 'userid') {
+        return { available: !TAKEN_IDS.includes(body.userid) };
+    }
+    const key = [body.firstName, body.lastName, body.dob, body.ssnLast4].join('|').toLowerCase();
+    return { duplicate: REGISTERED_PATIENTS.includes(key) };
+}
+
+// Answer a check after delay ms, or reject like fetch does when its signal is aborted first
+function fetchCheck(window, url, init, delay) {
+    const name = new URL(String(url), 'http://localhost/').pathname.split('/').pop();
+    const body = JSON.parse(init.body);
+    window.checkRequests.push({ name: name, body: body });
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve({ ok: true, status: 200, json: async () => answerCheck(name, body) }), delay);
+        if (init.signal) {
+            init.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new window.DOMException('The request was aborted', 'AbortError'));
+            });
+        }
+    });
+}
+
+// search is a query string for the page, e.g. '?kiosk=on'; checkDelay is how long the server checks take (ms)
+export async function loadPage(page = 'homework3.html', search = '', { checkDelay = 0, siteConfig = null, setup = null, shareTabs = false } = {}) {
+    const channels = [];
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, page), 'utf8'), {
+        url: 'http://localhost/' + page + search,
+        runScripts: 'dangerously',
+        resources: new DiskLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            window.ValidationCore = ValidationCore;
+            window.alert = () => {};
+            window.confirm = () => true;
+            window.matchMedia = () => ({ matches: false, addEventListener() {} });
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+            Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+            window.checkRequests = [];
+            window.fetch = async (url, init = {}) => {
+                if (String(url).includes('api/checks/')) return fetchCheck(window, url, init, checkDelay);
+                if (siteConfig && String(url) === 'site-config.json') {
+                    return { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(siteConfig)) };
+                }
+                return readFromDisk(url);
+            };
+            if (shareTabs) {
+                // Node's BroadcastChannel; unref'd and closed with the page so they never keep the tests running
+                window.BroadcastChannel = class extends BroadcastChannel {
+                    constructor(name) {
+                        super(name);
+                        this.unref();
+                        channels.push(this);
+                    }
+                };
+            }
+            if (setup) setup(window);
+        }
+    });
+
+    const window = dom.window;
+    const close = window.close.bind(window);
+    window.close = () => {
+        channels.forEach(channel => channel.close());
+        close();
+    };
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    // Let the site configuration, states, ZIP codes and password blocklist finish loading
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    if (errors.length > 0) {
+        window.close();
+        throw errors[0];
+    }
+    return window;
+}
+
+// Type a value the way a user would: input events while typing, blur when leaving the field
+export function typeInto(window, id, value) {
+    const element = window.document.getElementById(id);
+    element.value = value;
+    element.dispatchEvent(new window.Event('input', { bubbles: true }));
+    element.dispatchEvent(new window.Event('blur'));
+    return element;
+}
+
+export function check(window, id) {
+    const element = window.document.getElementById(id);
+    element.checked = true;
+    element.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+// Wait until every server check has answered
+export async function waitForChecks(window) {
+    while (window.hasPendingValidations()) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+// Fill in every required field with valid answers (an adult, vaccinated against COVID-19, no insurance)
+// and wait for the server checks
+export async function fillValidForm(window) {
+    typeInto(window, 'first-name', 'John');
+    typeInto(window, 'last-name', 'Doe');
+    typeInto(window, 'dob', '01/02/1990');
+    typeInto(window, 'ssn', '123456789');
+    typeInto(window, 'address1', '1 Main St');
+    typeInto(window, 'city', 'Houston');
+    const state = window.document.getElementById('state');
+    state.value = 'TX';
+    state.dispatchEvent(new window.Event('change', { bubbles: true }));
+    typeInto(window, 'zip', '77001');
+    typeInto(window, 'email', 'john.doe@example.com');
+    typeInto(window, 'userid', 'jdoe12345');
+    typeInto(window, 'password', 'Tr0ub4dor&3x');
+    typeInto(window, 'confirm-password', 'Tr0ub4dor&3x');
+    ['male', 'vaccinated-yes', 'covid19', 'insurance-no'].forEach(id => check(window, id));
+    await waitForChecks(window);
+}
@@ -0,0 +1,185 @@
+/*
+Program name: remote-checks.test.mjs
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of the server checks: pending state, debouncing, stale requests, user ID and duplicate patient
+*/
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, typeInto, fillValidForm, waitForChecks } from './load-page.mjs';
+
+let window;
+let document;
+
+async function open(options) {
+    window = await loadPage('homework3.html', '', options);
+    document = window.document;
+}
+
+afterEach(() => {
+    window.close();
+});
+
+function errorText(id) {
+    return document.getElementById(id + '-error').textContent;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('user ID availability', () => {
+    it('shows the field as pending and keeps Submit disabled until the check answers', async () => {
+        await open({ checkDelay: 200 });
+        await fillValidForm(window);
+        assert.equal(document.getElementById('submit-button').disabled, false);
+
+        const userId = typeInto(window, 'userid', 'jdoe54321');
+        assert.equal(userId.classList.contains('input-pending'), true);
+        assert.equal(userId.getAttribute('aria-busy'), 'true');
+        assert.equal(errorText('userid'), 'Checking...');
+        assert.equal(document.getElementById('submit-button').disabled, true);
+
+        await waitForChecks(window);
+        assert.equal(userId.classList.contains('input-success'), true);
+        assert.equal(userId.getAttribute('aria-busy'), null);
+        assert.equal(errorText('userid'), '');
+        assert.equal(document.getElementById('submit-button').disabled, false);
+    });
+
+    it('shows an error for a user ID that is taken', async () => {
+        await open();
+        typeInto(window, 'userid', 'admin');
+        await waitForChecks(window);
+        assert.equal(errorText('userid'), 'This user ID is already taken. Please choose another');
+        assert.equal(window.eval('formErrorReasons').userid, 'taken');
+    });
+
+    it('sends one check once typing pauses, and none for a value already checked', async () => {
+        await open();
+        ['j', 'jd', 'jdo', 'jdoe', 'jdoe1', 'jdoe12', 'jdoe123'].forEach(value => {
+            const userId = document.getElementById('userid');
+            userId.value = value;
+            userId.dispatchEvent(new window.Event('input', { bubbles: true }));
+        });
+        await waitForChecks(window);
+        assert.deepEqual(window.checkRequests.map(request => request.body.userid), ['jdoe123']);
+
+        typeInto(window, 'userid', 'jdoe123');
+        assert.equal(window.hasPendingValidations(), false);
+        assert.equal(window.checkRequests.length, 1);
+    });
+
+    it('cancels a check that is still waiting for its answer when the value changes', async () => {
+        await open({ checkDelay: 300 });
+        typeInto(window, 'userid', 'admin');
+        // Let the first request go out, then change the value before it answers
+        await sleep(500);
+        typeInto(window, 'userid', 'jdoe12345');
+        await waitForChecks(window);
+
+        assert.deepEqual(window.checkRequests.map(request => request.body.userid), ['admin', 'jdoe12345']);
+        assert.equal(errorText('userid'), '');
+        assert.equal(window.eval('formErrors').userid, undefined);
+    });
+
+    it('lets the field pass when the check cannot be made, and asks again on blur and at Submit', async () => {
+        await open();
+        const serverFetch = window.fetch;
+        window.fetch = async () => ({ ok: false, status: 503, json: async () => ({}) });
+        await fillValidForm(window);
+        typeInto(window, 'userid', 'admin');
+        await waitForChecks(window);
+        assert.equal(errorText('userid'), 'We could not check this answer right now. It will be checked again.');
+        assert.equal(window.eval('formErrors').userid, undefined);
+        assert.equal(document.getElementById('submit-button').disabled, false);
+
+        // Leaving the field asks again
+        document.getElementById('userid').dispatchEvent(new window.Event('blur'));
+        assert.equal(window.hasPendingValidations(), true);
+        await waitForChecks(window);
+
+        // So does Submit, which waits for the answer; once the server answers it is kept
+        window.fetch = serverFetch;
+        let sent = 0;
+        window.submitRegistration = async () => sent++;
+        window.submitForm();
+        assert.equal(sent, 0);
+        await waitForChecks(window);
+        assert.equal(errorText('userid'), 'This user ID is already taken. Please choose another');
+    });
+
+    it('lets Submit go ahead when the check asked again at Submit cannot be made either', async () => {
+        await open();
+        window.fetch = async () => { throw new window.TypeError('Failed to fetch'); };
+        await fillValidForm(window);
+        let sent = 0;
+        window.submitRegistration = async () => sent++;
+        // jsdom doesn't give the form its controls by name
+        const form = document.getElementById('patient-form');
+        ['userid', 'email'].forEach(id => { form[id] = document.getElementById(id); });
+
+        window.submitForm();
+        await waitForChecks(window);
+        assert.equal(sent, 0);
+        window.submitForm();
+        assert.equal(sent, 1);
+    });
+
+    it('stops a check that gets no answer in time', async () => {
+        await open({ checkDelay: 1000 });
+        window.eval('REMOTE_CHECK_CONFIG').timeoutMs = 50;
+        let aborted = false;
+        const serverFetch = window.fetch;
+        window.fetch = (url, init) => {
+            init.signal.addEventListener('abort', () => { aborted = true; });
+            return serverFetch(url, init);
+        };
+        typeInto(window, 'userid', 'jdoe54321');
+        await waitForChecks(window);
+        assert.equal(aborted, true);
+        assert.equal(document.getElementById('userid').classList.contains('input-pending'), false);
+    });
+});
+
+describe('duplicate patient', () => {
+    function enterPatient(dob) {
+        typeInto(window, 'first-name', 'Jane');
+        typeInto(window, 'last-name', 'Doe');
+        typeInto(window, 'dob', dob);
+        typeInto(window, 'ssn', '123451234');
+    }
+
+    it('finds a patient already registered with the same name, date of birth and SSN', async () => {
+        await open();
+        enterPatient('01/01/1980');
+        await waitForChecks(window);
+
+        assert.equal(errorText('ssn'), 'A patient with this name, date of birth and SSN is already registered. Please ask the front desk for help');
+        // Only the last four digits of the SSN are sent
+        assert.deepEqual(window.checkRequests.at(-1).body, { firstName: 'Jane', lastName: 'Doe', dob: '1980-01-01', ssnLast4: '1234' });
+    });
+
+    it('checks again when the name or date of birth changes', async () => {
+        await open();
+        enterPatient('01/01/1980');
+        await waitForChecks(window);
+        assert.notEqual(errorText('ssn'), '');
+
+        typeInto(window, 'dob', '01/02/1980');
+        assert.equal(document.getElementById('ssn').classList.contains('input-pending'), true);
+        await waitForChecks(window);
+        assert.equal(errorText('ssn'), '');
+    });
+
+    it('waits for the name and date of birth before asking the server', async () => {
+        await open();
+        typeInto(window, 'ssn', '123451234');
+        await waitForChecks(window);
+        assert.equal(window.checkRequests.length, 0);
+        assert.equal(errorText('ssn'), '');
+    });
+});
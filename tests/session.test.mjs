@@ -0,0 +1,139 @@
+/*
+Program name: session.test.mjs
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of the session lock screen: focus stays in the dialog, attempt limit, sensitive fields
+and the lock lasting through a reload or a new tab
+*/
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, typeInto } from './load-page.mjs';
+
+let window;
+let document;
+const otherTabs = [];
+
+async function open(options) {
+    window = await loadPage('homework3.html', '', options);
+    document = window.document;
+}
+
+afterEach(() => {
+    window.close();
+    otherTabs.splice(0).forEach(tab => tab.close());
+});
+
+// Lock a tab with Ana's draft and return what its reload would find in storage
+async function lockTabWithDraft() {
+    await open();
+    typeInto(window, 'first-name', 'Ana');
+    typeInto(window, 'dob', '01/02/1990');
+    await window.eval('draftSaveQueue');
+    lock();
+    const saved = { local: { ...window.localStorage }, session: { ...window.sessionStorage } };
+    otherTabs.push(window);
+    return saved;
+}
+
+function lock() {
+    window.lockSession(false);
+}
+
+function pressTab(shiftKey) {
+    const event = new window.KeyboardEvent('keydown', { key: 'Tab', shiftKey: shiftKey, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event.defaultPrevented;
+}
+
+describe('session lock', () => {
+    it('keeps focus inside the lock dialog', async () => {
+        await open();
+        typeInto(window, 'dob', '01/02/1990');
+        lock();
+        assert.equal(document.activeElement.id, 'session-lock-dob');
+
+        // Shift+Tab from the first control goes to the last one, and Tab from the last back to the first
+        assert.equal(pressTab(true), true);
+        assert.equal(document.activeElement.id, 'session-not-me-button');
+        assert.equal(pressTab(false), true);
+        assert.equal(document.activeElement.id, 'session-lock-dob');
+
+        document.getElementById('first-name').focus();
+        assert.equal(document.activeElement.id, 'session-lock-dob');
+    });
+
+    it('leaves only Start Over after too many wrong dates of birth, even after a reload', async () => {
+        await open();
+        let cleared = 0;
+        window.clearAllData = () => cleared++;
+        typeInto(window, 'dob', '01/02/1990');
+        lock();
+
+        const input = document.getElementById('session-lock-dob');
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            input.value = '03/04/1985';
+            document.getElementById('session-unlock-button').click();
+        }
+        const error = document.getElementById('session-lock-error');
+        assert.match(error.textContent, /did not match too many times/);
+        assert.equal(document.getElementById('session-lock-dob-row').style.display, 'none');
+        assert.equal(document.getElementById('session-unlock-button').hidden, true);
+        assert.equal(document.activeElement.id, 'session-not-me-button');
+
+        // The lock screen shown again after a reload gives no fresh attempts
+        window.showLockOverlay();
+        assert.equal(document.getElementById('session-unlock-button').hidden, true);
+
+        document.getElementById('session-not-me-button').click();
+        assert.equal(cleared, 1);
+    });
+
+    it('cancels a server check of the SSN when it is cleared', async () => {
+        await open({ checkDelay: 500 });
+        typeInto(window, 'first-name', 'Jane');
+        typeInto(window, 'last-name', 'Doe');
+        typeInto(window, 'dob', '01/01/1980');
+        const ssn = typeInto(window, 'ssn', '123451234');
+        assert.equal(window.hasPendingValidations(), true);
+
+        lock();
+        assert.equal(window.hasPendingValidations(), false);
+        assert.equal(ssn.value, '');
+        assert.equal(ssn.classList.contains('input-pending'), false);
+        assert.equal(document.getElementById('ssn-error').textContent, '');
+    });
+
+    it('stays locked after a reload and fills the form only once unlocked', async () => {
+        const saved = await lockTabWithDraft();
+        await open({
+            setup(window) {
+                Object.entries(saved.local).forEach(([key, value]) => window.localStorage.setItem(key, value));
+                Object.entries(saved.session).forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+                window.document.cookie = 'firstName=Ana;path=/';
+            }
+        });
+
+        assert.equal(document.getElementById('session-lock').style.display, 'flex');
+        assert.equal(document.getElementById('first-name').value, '');
+        assert.equal(document.getElementById('session-lock-greeting').textContent, 'Are you Ana?');
+
+        document.getElementById('session-lock-dob').value = '01/02/1990';
+        document.getElementById('session-unlock-button').click();
+        assert.equal(document.getElementById('session-lock').style.display, 'none');
+        assert.equal(document.getElementById('first-name').value, 'Ana');
+        assert.equal(window.sessionStorage.getItem('werdocs:locked'), null);
+    });
+
+    it('opens a new tab locked while the other tabs are locked', async () => {
+        await open({ shareTabs: true });
+        lock();
+        otherTabs.push(window);
+        await open({ shareTabs: true });
+
+        assert.equal(window.eval('sessionLocked'), true);
+        assert.equal(document.getElementById('session-lock').style.display, 'flex');
+    });
+});
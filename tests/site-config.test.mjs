@@ -0,0 +1,125 @@
+/*
+Program name: site-config.test.mjs
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of the site configuration: branding on both pages, contact details, sections, session and theme
+*/
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, typeInto, fillValidForm } from './load-page.mjs';
+
+let window;
+let document;
+
+const CLINIC = {
+    clinic: {
+        name: 'Bayou Family Clinic',
+        logo: 'bayou-logo.svg',
+        address: ['12 Main St', 'Suite 4', 'Houston, TX 77002']
+    },
+    contact: { email: 'hello@bayouclinic.example', phone: '(713) 555-0199' },
+    social: [{ name: 'Instagram', url: 'https://instagram.example/bayou' }]
+};
+
+async function open(page, siteConfig) {
+    window = await loadPage(page, '', { siteConfig: siteConfig });
+    document = window.document;
+}
+
+afterEach(() => {
+    window.close();
+});
+
+function text(selector) {
+    return [...document.querySelectorAll(selector)].map(element => element.textContent.trim());
+}
+
+describe('site configuration', () => {
+    it('brands the form page and its contact details', async () => {
+        await open('homework3.html', CLINIC);
+
+        assert.equal(document.title, 'Patient Registration Form - Bayou Family Clinic');
+        assert.deepEqual(text('[data-site="clinic-name"]'), ['Bayou Family Clinic', 'Bayou Family Clinic']);
+        assert.equal(document.getElementById('logo').getAttribute('src'), 'bayou-logo.svg');
+        assert.equal(document.getElementById('logo').alt, 'Bayou Family Clinic Logo');
+        assert.equal(document.querySelector('[data-site="clinic-address"]').innerHTML, '12 Main St<br>Suite 4<br>Houston, TX 77002');
+
+        const links = document.querySelectorAll('[data-site="social-links"] a');
+        assert.equal(links.length, 1);
+        assert.equal(links[0].textContent, 'Instagram');
+        assert.equal(links[0].getAttribute('href'), 'https://instagram.example/bayou');
+
+        let message = '';
+        window.alert = text => { message = text; };
+        document.getElementById('contact-button').click();
+        assert.match(message, /hello@bayouclinic\.example/);
+        assert.match(message, /\(713\) 555-0199/);
+
+        const summary = window.renderRegistrationSummary(window.buildRegistrationSummary());
+        assert.equal(summary.querySelector('.summary-clinic').textContent, 'Bayou Family Clinic');
+        assert.equal(summary.querySelector('.summary-address').textContent, '12 Main St, Suite 4, Houston, TX 77002');
+    });
+
+    it('brands the thank-you page', async () => {
+        await open('thankyou.html', CLINIC);
+        assert.equal(document.title, 'Thank You - Bayou Family Clinic');
+        assert.deepEqual(text('[data-site="clinic-name"]'), ['Bayou Family Clinic', 'Bayou Family Clinic']);
+        assert.deepEqual(text('[data-site="social-links"] a'), ['Instagram']);
+    });
+
+    it('keeps the defaults for anything the file leaves out', async () => {
+        await open('homework3.html', { clinic: { name: 'Bayou Family Clinic' } });
+        const config = window.getSiteConfig();
+        assert.equal(config.clinic.name, 'Bayou Family Clinic');
+        assert.equal(config.clinic.logo, 'medical-logo.svg');
+        assert.deepEqual([...config.clinic.address], ['PO BOX 18881', 'Sugar Land, TX 77496']);
+        assert.equal(config.contact.email, 'info@werdocsmedical.com');
+        assert.equal(document.getElementById('state').options.length > 50, true);
+    });
+
+    it('ignores a settings group that is not a group', async () => {
+        await open('homework3.html', { clinic: 'Bayou Family Clinic', contact: ['hello@bayouclinic.example'] });
+        const config = window.getSiteConfig();
+        assert.equal(config.clinic.name, "We'R'Docs Medical");
+        assert.equal('0' in config.clinic, false);
+        assert.equal(config.contact.email, 'info@werdocsmedical.com');
+        assert.equal('0' in config.contact, false);
+    });
+
+    it('leaves out the sections that are turned off', async () => {
+        await open('homework3.html', { sections: ['personal', 'medical', 'account'] });
+
+        assert.deepEqual([...window.eval('FORM_SECTIONS')].map(section => section.id), ['personal', 'contact', 'medical', 'account']);
+        assert.equal(document.querySelector('fieldset[data-section="address"]').hidden, true);
+        assert.equal(document.querySelector('fieldset[data-section="additional"]').hidden, true);
+        assert.equal(document.querySelector('fieldset[data-section="contact"]').hidden, false);
+
+        // Required answers in the hidden sections no longer hold up Submit
+        await fillValidForm(window);
+        typeInto(window, 'address1', '');
+        assert.equal(document.getElementById('submit-button').disabled, false);
+        assert.deepEqual(Object.keys(window.buildSubmissionPayload().patient), ['personal', 'contact', 'medical', 'account']);
+    });
+
+    it('takes the session length from the configuration', async () => {
+        await open('homework3.html', { session: { lengthMinutes: 5 } });
+        assert.equal(window.eval('SESSION_CONFIG').lengthMinutes, 5);
+        const remaining = window.eval('sessionExpiresAt') - Date.now();
+        assert.ok(remaining > 4 * 60 * 1000 && remaining <= 5 * 60 * 1000);
+    });
+
+    it('starts in the configured theme and keeps the one the user picks', async () => {
+        await open('homework3.html', { theme: 'dark' });
+        assert.equal(document.documentElement.dataset.theme, 'dark');
+        assert.equal(document.getElementById('theme-select').value, 'dark');
+
+        const themeSelect = document.getElementById('theme-select');
+        themeSelect.value = 'high-contrast';
+        themeSelect.dispatchEvent(new window.Event('change', { bubbles: true }));
+        assert.equal(document.documentElement.dataset.theme, 'high-contrast');
+        assert.equal(window.localStorage.getItem('werdocs:theme'), 'high-contrast');
+    });
+});
@@ -0,0 +1,164 @@
+/*
+Program name: submission.test.mjs
+Author: Muhammad Adnan
+Date created: December 22, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Headless tests of sending the registration: server errors, offline queueing, failures after an answer
+repeated submits and queued registrations no tab can read
+*/
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, fillValidForm } from './load-page.mjs';
+
+let window;
+let document;
+let alerts;
+let queued;
+let thankYouPages;
+
+beforeEach(async () => {
+    window = await loadPage();
+    document = window.document;
+    alerts = [];
+    queued = [];
+    thankYouPages = [];
+    window.alert = message => alerts.push(message);
+    window.queueSubmission = async (endpoint, payload) => queued.push(payload);
+    window.goToThankYouPage = async params => thankYouPages.push({ ...params });
+    await fillValidForm(window);
+});
+
+afterEach(() => {
+    window.close();
+});
+
+function answer(status, body) {
+    return async () => ({ ok: status < 300, status: status, json: async () => body });
+}
+
+describe('submission', () => {
+    it('shows errors for fields that are not on the form in one message, without blocking Submit', async () => {
+        window.fetch = answer(422, { errors: { 'first-name': 'Not accepted', 'clinic-id': 'Unknown clinic' } });
+        await window.submitRegistration();
+
+        assert.equal(document.getElementById('first-name-error').textContent, 'Not accepted');
+        assert.equal('clinic-id' in window.eval('formErrors'), false);
+        assert.deepEqual(alerts, ['We could not accept your registration:\nUnknown clinic']);
+    });
+
+    it('queues the registration when the request gets no answer', async () => {
+        window.fetch = async () => { throw new window.TypeError('Failed to fetch'); };
+        window.eval('SUBMISSION_CONFIG').maxRetries = 0;
+        await window.submitRegistration();
+
+        assert.equal(queued.length, 1);
+        assert.deepEqual(thankYouPages, [{ queued: '1' }]);
+    });
+
+    it('says so when an offline registration cannot be kept', async () => {
+        Object.defineProperty(window.navigator, 'onLine', { value: false, configurable: true });
+        window.queueSubmission = async () => { throw new Error('Storage is full'); };
+        await window.submitRegistration();
+
+        assert.equal(alerts.length, 1);
+        assert.match(alerts[0], /could not be saved to send later/);
+        assert.deepEqual(thankYouPages, []);
+        assert.equal(document.getElementById('submit-button').disabled, false);
+    });
+
+    it('keeps the summary for the thank-you page encrypted', async () => {
+        window.fetch = answer(201, { reference: 'WRD-1' });
+        await window.submitRegistration();
+
+        assert.deepEqual(thankYouPages, [{ ref: 'WRD-1' }]);
+        assert.equal(window.sessionStorage.getItem('werdocs:summary').includes('John'), false);
+        const summary = await window.loadRegistrationSummary();
+        assert.equal(JSON.stringify(summary).includes('John'), true);
+    });
+
+    it('does not queue a registration the server already answered', async () => {
+        window.fetch = answer(201, { reference: 'WRD-1' });
+        window.saveRegistrationSummary = () => { throw new window.TypeError('broken summary'); };
+        await window.submitRegistration();
+
+        assert.deepEqual(queued, []);
+        assert.deepEqual(alerts, ['We could not process your registration. Please try again later.']);
+    });
+
+    it('sends the registration once when Submit is pressed again while it is being sent', async () => {
+        const requests = [];
+        let respond;
+        window.fetch = (url, options) => {
+            requests.push(options);
+            return new Promise(resolve => { respond = resolve; });
+        };
+        const first = window.submitRegistration();
+        await window.submitRegistration();
+
+        assert.equal(requests.length, 1);
+        assert.equal(document.getElementById('submit-button').disabled, true);
+        window.checkFormValidity();
+        assert.equal(document.getElementById('submit-button').disabled, true);
+
+        respond({ ok: false, status: 422, json: async () => ({ errors: {} }) });
+        await first;
+        assert.equal(document.getElementById('submit-button').disabled, false);
+    });
+
+    it('keeps CONFIRM & SUBMIT on the review panel disabled while the registration is being sent', async () => {
+        let respond;
+        window.fetch = () => new Promise(resolve => { respond = resolve; });
+        window.showReview();
+        const first = window.submitRegistration();
+
+        assert.equal(document.getElementById('review-submit-button').disabled, true);
+        respond({ ok: false, status: 422, json: async () => ({ errors: {} }) });
+        await first;
+        assert.equal(document.getElementById('review-submit-button').disabled, false);
+    });
+
+    it('sends the same submission id with every attempt and every submit of the same form', async () => {
+        const requests = [];
+        window.eval('SUBMISSION_CONFIG').retryDelay = 0;
+        window.fetch = async (url, options) => {
+            requests.push(options);
+            return { ok: false, status: requests.length < 3 ? 503 : 422, json: async () => ({ errors: {} }) };
+        };
+        await window.submitRegistration();
+        await window.submitRegistration();
+
+        const keys = requests.map(options => options.headers['Idempotency-Key']);
+        const ids = requests.map(options => JSON.parse(options.body).submissionId);
+        assert.equal(requests.length, 4);
+        assert.ok(keys[0]);
+        assert.deepEqual(keys, [keys[0], keys[0], keys[0], keys[0]]);
+        assert.deepEqual(ids, keys);
+    });
+
+    it('gives the next patient a new submission id once the form is cleared', async () => {
+        const firstId = window.buildSubmissionPayload().submissionId;
+        document.getElementById('patient-form').reset();
+
+        assert.notEqual(window.buildSubmissionPayload().submissionId, firstId);
+    });
+
+    it('deletes a queued registration no tab can read once it expires and says so', async () => {
+        const hour = 60 * 60 * 1000;
+        const removed = [];
+        window.getQueuedSubmissions = async () => [
+            { id: 1, endpoint: 'api/registrations', queuedAt: Date.now() - 25 * hour },
+            { id: 2, endpoint: 'api/registrations', queuedAt: Date.now() - hour }
+        ];
+        window.openWithSessionKey = async () => null;
+        window.removeQueuedSubmission = async id => removed.push(id);
+        window.fetch = answer(201, { reference: 'WRD-1' });
+        await window.sendQueuedSubmissions();
+
+        assert.deepEqual(removed, [1]);
+        const notice = document.getElementById('queue-notice');
+        assert.equal(notice.hidden, false);
+        assert.match(notice.textContent, /could not be sent and has been deleted/);
+    });
+});
@@ -0,0 +1,355 @@
+/*
+Program name: validation-core.test.mjs
+Author: Muhammad Adnan
+Date created: December 20, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Unit tests for every rule and formatter in validation-core.mjs (run with: npm test)
+*/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as core from '../validation-core.mjs';
+
+// A fixed "today" so the date rules don't depend on when the tests run
+const TODAY = new Date(2025, 11, 20);
+
+describe('names', () => {
+    it('accepts 1-30 letters, apostrophes and dashes', () => {
+        for (const validate of [core.validateFirstName, core.validateLastName]) {
+            assert.equal(validate("O'Neil-Smith"), true);
+            assert.equal(validate('A'), true);
+            assert.equal(validate('a'.repeat(30)), true);
+            assert.equal(validate(''), false);
+            assert.equal(validate('a'.repeat(31)), false);
+            assert.equal(validate('Mary Ann'), false);
+            assert.equal(validate('J0hn'), false);
+        }
+    });
+
+    it('treats the middle initial as an optional single letter', () => {
+        assert.equal(core.validateMiddleInitial(''), true);
+        assert.equal(core.validateMiddleInitial('Q'), true);
+        assert.equal(core.validateMiddleInitial('QR'), false);
+        assert.equal(core.validateMiddleInitial('1'), false);
+    });
+});
+
+describe('dates', () => {
+    it('parses in the given day/month order and rejects dates that do not exist', () => {
+        assert.deepEqual(core.parseDate('03/04/2020', 'mdy'), new Date(2020, 2, 4));
+        assert.deepEqual(core.parseDate('03/04/2020', 'dmy'), new Date(2020, 3, 3));
+        assert.equal(core.parseDate('02/30/2020', 'mdy'), null);
+        assert.equal(core.parseDate('13/01/2020', 'mdy'), null);
+        assert.equal(core.parseDate('3/4/2020', 'mdy'), null);
+        assert.equal(core.parseDate('', 'mdy'), null);
+    });
+
+    it('requires a date of birth that is real, not in the future and within 120 years', () => {
+        const context = { dateOrder: 'mdy', today: TODAY };
+        assert.equal(core.validateDateOfBirth('', context), false);
+        assert.equal(core.validateDateOfBirth('01/02/1990', context), true);
+        assert.equal(core.validateDateOfBirth('12/20/2025', context), true);
+        assert.equal(core.validateDateOfBirth('12/21/2025', context), false);
+        assert.equal(core.validateDateOfBirth('12/20/1905', context), true);
+        assert.equal(core.validateDateOfBirth('12/19/1905', context), false);
+        assert.equal(core.validateDateOfBirth('02/29/2023', context), false);
+        assert.equal(core.validateDateOfBirth('1990-01-02', context), false);
+    });
+
+    it('reads the date of birth in the day-first order when asked to', () => {
+        assert.equal(core.validateDateOfBirth('25/12/1990', { dateOrder: 'dmy', today: TODAY }), true);
+        assert.equal(core.validateDateOfBirth('25/12/1990', { dateOrder: 'mdy', today: TODAY }), false);
+    });
+});
+
+describe('formatters', () => {
+    it('formats an SSN as XXX-XX-XXXX while typing', () => {
+        assert.equal(core.formatSSN(''), '');
+        assert.equal(core.formatSSN('12'), '12');
+        assert.equal(core.formatSSN('1234'), '123-4');
+        assert.equal(core.formatSSN('123456'), '123-45-6');
+        assert.equal(core.formatSSN('123-45-6789'), '123-45-6789');
+        assert.equal(core.formatSSN('1234567890'), '123-45-6789');
+        assert.equal(core.formatSSN('12a3 4'), '123-4');
+    });
+
+    it('formats a phone number as XXX-XXX-XXXX while typing', () => {
+        assert.equal(core.formatPhone('713'), '713');
+        assert.equal(core.formatPhone('7135'), '713-5');
+        assert.equal(core.formatPhone('(713) 555-1234'), '713-555-1234');
+        assert.equal(core.formatPhone('71355512345'), '713-555-1234');
+    });
+
+    it('formats a ZIP code, adding the dash for ZIP+4', () => {
+        assert.equal(core.formatZip('77001'), '77001');
+        assert.equal(core.formatZip('770011'), '77001-1');
+        assert.equal(core.formatZip('77001-12345'), '77001-1234');
+    });
+});
+
+// Type text one key at a time at the end of the field, formatting after each key as the input listener does
+function typeKeys(text, maskName) {
+    let value = '';
+    for (const key of text) {
+        value = core.applyInputMask(value + key, value.length + 1, maskName).value;
+    }
+    return value;
+}
+
+describe('input masks', () => {
+    it('adds a separator only once a digit follows it', () => {
+        assert.deepEqual(core.applyInputMask('123', 3, 'ssn'), { value: '123', caret: 3 });
+        assert.deepEqual(core.applyInputMask('1234', 4, 'ssn'), { value: '123-4', caret: 5 });
+        assert.deepEqual(core.applyInputMask('01021990', 8, 'date'), { value: '01/02/1990', caret: 10 });
+    });
+
+    it('keeps the caret after the digit it followed when typing in the middle', () => {
+        // "123-4|5-6789" with a 0 typed at the caret; the caret goes past the dash after it
+        assert.deepEqual(core.applyInputMask('123-405-6789', 6, 'ssn'), { value: '123-40-5678', caret: 7 });
+        // Typing just before a dash
+        assert.deepEqual(core.applyInputMask('1239-4', 4, 'ssn'), { value: '123-94', caret: 5 });
+        // Deleting the first digit leaves the caret at the start
+        assert.deepEqual(core.applyInputMask('23-45-6789', 0, 'ssn'), { value: '234-56-789', caret: 0 });
+    });
+
+    it('cleans up pasted phone numbers, including a +1 country code', () => {
+        assert.equal(core.applyInputMask('(713) 555-0123', 14, 'phone').value, '713-555-0123');
+        assert.deepEqual(core.applyInputMask('+1 713 555 0123', 15, 'phone'), { value: '713-555-0123', caret: 12 });
+        assert.equal(core.applyInputMask('+1 (713) 555-0123', 17, 'phone').value, '713-555-0123');
+        assert.equal(core.applyInputMask('001 713 555 0123', 16, 'phone').value, '713-555-0123');
+        assert.equal(core.applyInputMask('17135550123', 11, 'phone').value, '713-555-0123');
+        assert.equal(core.applyInputMask('713.555.0123', 12, 'phone').value, '713-555-0123');
+    });
+
+    it('puts the caret after the dash that follows a value pasted in the middle', () => {
+        // "123-|67-89" with 45 pasted at the caret
+        assert.deepEqual(core.applyInputMask('123-4567-89', 6, 'ssn'), { value: '123-45-6789', caret: 7 });
+        // "713-|012-3" with 555 pasted at the caret
+        assert.deepEqual(core.applyInputMask('713-555012-3', 7, 'phone'), { value: '713-555-0123', caret: 8 });
+        // "01/|1990" with 02 pasted at the caret
+        assert.deepEqual(core.applyInputMask('01/021990', 5, 'date'), { value: '01/02/1990', caret: 6 });
+    });
+
+    it('puts a pasted YYYY-MM-DD date in the language\'s order', () => {
+        assert.deepEqual(core.applyInputMask('1990-12-31', 10, 'date'), { value: '12/31/1990', caret: 10 });
+        assert.equal(core.applyInputMask('1990-12-31', 10, 'date', 'dmy').value, '31/12/1990');
+        assert.equal(core.applyInputMask(' 2021-3-5 ', 10, 'date').value, '03/05/2021');
+    });
+
+    it('formats phone numbers typed one key at a time, with or without a country code', () => {
+        assert.equal(typeKeys('7135550123', 'phone'), '713-555-0123');
+        assert.equal(typeKeys('713-555-0123', 'phone'), '713-555-0123');
+        assert.equal(typeKeys('(713) 555-0123', 'phone'), '713-555-0123');
+        assert.equal(typeKeys('+1 713 555 0123', 'phone'), '713-555-0123');
+        assert.equal(typeKeys('001 713 555 0123', 'phone'), '713-555-0123');
+        assert.equal(typeKeys('17135550123', 'phone'), '713-555-0123');
+        assert.equal(typeKeys('+44 20 7946 0958', 'phone'), '+44 20 7946 0958');
+        // Until the number is whole, a +1 number is left as typed and reported as unfinished
+        assert.equal(typeKeys('+1 713', 'phone'), '+1 713');
+        assert.equal(core.validatePhone('+1 713'), 'format');
+    });
+
+    it('ends a date part at a slash typed after one digit', () => {
+        assert.equal(typeKeys('3/', 'date'), '03/');
+        assert.equal(typeKeys('3/4/', 'date'), '03/04/');
+        assert.equal(typeKeys('3/4/2020', 'date'), '03/04/2020');
+        assert.equal(typeKeys('12/25/1990', 'date'), '12/25/1990');
+        assert.equal(typeKeys('3-4-2020', 'date'), '03/04/2020');
+        assert.equal(typeKeys('12251990', 'date'), '12/25/1990');
+    });
+
+    it('leaves numbers from other countries as typed for the validator to report', () => {
+        assert.deepEqual(core.applyInputMask('+44 20 7946 0958', 16, 'phone'), { value: '+44 20 7946 0958', caret: 16, asTyped: true });
+        assert.equal(core.validatePhone('+44 20 7946 0958'), 'international');
+    });
+
+    it('pads pasted dates written without leading zeros', () => {
+        assert.deepEqual(core.applyInputMask('3/4/2020', 8, 'date'), { value: '03/04/2020', caret: 10 });
+        assert.equal(core.applyInputMask('3-4-2020', 8, 'date').value, '03/04/2020');
+        assert.equal(core.applyInputMask('12/25/1990', 10, 'date').value, '12/25/1990');
+    });
+
+    it('cuts values at the length of the mask', () => {
+        assert.equal(core.applyInputMask('770011234999', 12, 'zip').value, '77001-1234');
+        assert.equal(core.applyInputMask('0102199000', 10, 'date').value, '01/02/1990');
+    });
+});
+
+describe('SSN', () => {
+    it('returns a reason code for each SSA rule', () => {
+        assert.equal(core.validateSSN(''), 'required');
+        assert.equal(core.validateSSN('123456789'), 'format');
+        assert.equal(core.validateSSN('000-12-3456'), 'invalidArea');
+        assert.equal(core.validateSSN('666-12-3456'), 'invalidArea');
+        assert.equal(core.validateSSN('912-12-3456'), 'invalidArea');
+        assert.equal(core.validateSSN('123-00-4567'), 'invalidGroup');
+        assert.equal(core.validateSSN('123-45-0000'), 'invalidSerial');
+        assert.equal(core.validateSSN('078-05-1120'), 'voided');
+        assert.equal(core.validateSSN('123-45-6789'), true);
+    });
+});
+
+describe('email', () => {
+    it('returns a reason code for each rule', () => {
+        assert.equal(core.validateEmail(''), 'required');
+        assert.equal(core.validateEmail('a'.repeat(250) + '@b.com'), 'tooLong');
+        assert.equal(core.validateEmail('no-at-sign'), 'format');
+        assert.equal(core.validateEmail('a@b@c.com'), 'format');
+        assert.equal(core.validateEmail('@example.com'), 'format');
+        assert.equal(core.validateEmail('john@'), 'format');
+        assert.equal(core.validateEmail('a'.repeat(65) + '@example.com'), 'localTooLong');
+        assert.equal(core.validateEmail('jo hn@example.com'), 'localCharacters');
+        assert.equal(core.validateEmail('.john@example.com'), 'localDots');
+        assert.equal(core.validateEmail('jo..hn@example.com'), 'localDots');
+        assert.equal(core.validateEmail('john@localhost'), 'domain');
+        assert.equal(core.validateEmail('john@example..com'), 'domain');
+        assert.equal(core.validateEmail('john@-example.com'), 'domain');
+        assert.equal(core.validateEmail('john@example.c0m'), 'topLevelDomain');
+        assert.equal(core.validateEmail('john.doe+clinic@mail.example.com'), true);
+    });
+});
+
+describe('phone numbers', () => {
+    it('checks the numbering plan rules', () => {
+        assert.equal(core.validatePhone(''), true);
+        assert.equal(core.validatePhone('7135551234'), 'format');
+        assert.equal(core.validatePhone('113-555-1234'), 'invalidAreaCode');
+        assert.equal(core.validatePhone('911-555-1234'), 'invalidAreaCode');
+        assert.equal(core.validatePhone('713-055-1234'), 'invalidExchange');
+        assert.equal(core.validatePhone('713-411-1234'), 'invalidExchange');
+        assert.equal(core.validatePhone('713-555-0123'), 'fictional');
+        assert.equal(core.validatePhone('713-555-1234'), true);
+    });
+
+    it('requires the guardian phone number but checks it the same way', () => {
+        assert.equal(core.validateRequiredPhone(''), 'required');
+        assert.equal(core.validateRequiredPhone('713-411-1234'), 'invalidExchange');
+        assert.equal(core.validateRequiredPhone('713-555-1234'), true);
+    });
+});
+
+describe('address', () => {
+    it('requires 2-30 characters for the address and city', () => {
+        for (const validate of [core.validateAddress, core.validateCity]) {
+            assert.equal(validate(''), false);
+            assert.equal(validate('A'), false);
+            assert.equal(validate('1 Main St'), true);
+            assert.equal(validate('a'.repeat(31)), false);
+        }
+    });
+
+    it('lets the second address line be blank', () => {
+        assert.equal(core.validateAddressOptional(''), true);
+        assert.equal(core.validateAddressOptional('A'), false);
+        assert.equal(core.validateAddressOptional('Apt 4'), true);
+    });
+
+    it('requires a state', () => {
+        assert.equal(core.validateState(''), false);
+        assert.equal(core.validateState(null), false);
+        assert.equal(core.validateState('TX'), true);
+    });
+
+    it('accepts a 5-digit ZIP or ZIP+4 in the selected state', () => {
+        assert.equal(core.validateZip(''), false);
+        assert.equal(core.validateZip('7700'), false);
+        assert.equal(core.validateZip('77001-12'), false);
+        assert.equal(core.validateZip('77001'), true);
+        assert.equal(core.validateZip('77001-1234'), true);
+        assert.equal(core.validateZip('77001', { state: 'TX', zipState: 'TX' }), true);
+        assert.equal(core.validateZip('77001', { state: 'CA', zipState: 'TX' }), 'stateMismatch');
+        // ZIPs missing from the bundled data, or no state picked yet, can't be cross-checked
+        assert.equal(core.validateZip('77001', { state: 'CA', zipState: null }), true);
+        assert.equal(core.validateZip('77001', { state: '', zipState: 'TX' }), true);
+    });
+});
+
+describe('account', () => {
+    it('requires a user ID of 5-20 characters that starts with a letter', () => {
+        assert.equal(core.validateUserId(''), false);
+        assert.equal(core.validateUserId('jdoe'), false);
+        assert.equal(core.validateUserId('jdoe1'), true);
+        assert.equal(core.validateUserId('j'.repeat(21)), false);
+        assert.equal(core.validateUserId('1jdoe'), false);
+        assert.equal(core.validateUserId('j_doe-1'), true);
+        assert.equal(core.validateUserId('j.doe1'), false);
+    });
+
+    it('requires the confirmation to match the password', () => {
+        assert.equal(core.validateConfirmPassword('Secret12', { password: 'Secret12' }), true);
+        assert.equal(core.validateConfirmPassword('Secret13', { password: 'Secret12' }), false);
+        assert.equal(core.validateConfirmPassword('', { password: '' }), false);
+    });
+});
+
+describe('passwords', () => {
+    const blocklist = ['password', 'dragon', 'qwerty', 'sunshine', 'monkey'];
+    const context = {
+        commonPasswords: new Set(blocklist),
+        dictionaryWords: new Set(blocklist.filter(word => /^[a-z]{4,}$/.test(word))),
+        personalValues: core.getPersonalValues({
+            userId: 'jdoe12345', firstName: 'John', lastName: 'Doe', dob: new Date(1990, 0, 2)
+        })
+    };
+
+    it('lists the personal values a password must not contain', () => {
+        assert.deepEqual(core.getPersonalValues({
+            userId: 'jdoe12345', firstName: ' John ', lastName: 'Li', dob: new Date(1990, 0, 2)
+        }), ['jdoe12345', 'john', '1990', '0102', '0201', '01021990', '02011990']);
+        assert.deepEqual(core.getPersonalValues({ userId: '', firstName: '', lastName: '', dob: null }), []);
+    });
+
+    it('reports the first requirement the password misses', () => {
+        assert.equal(core.validatePassword('', context), 'required');
+        assert.equal(core.validatePassword('Ab1', context), 'length');
+        assert.equal(core.validatePassword('abcdefg1', context), 'upper');
+        assert.equal(core.validatePassword('ABCDEFG1', context), 'lower');
+        assert.equal(core.validatePassword('Abcdefgh', context), 'digit');
+        assert.equal(core.validatePassword('Johnny#4821x', context), 'personal');
+        assert.equal(core.validatePassword('Dragon2024!', context), 'common');
+        assert.equal(core.validatePassword('Qwerty123456', context), 'common');
+        assert.equal(core.validatePassword('Abcabc123', context), 'strength');
+        assert.equal(core.validatePassword('Tr0ub4dor&3x', context), true);
+    });
+
+    it('matches the blocklist with or without a trailing number or symbol', () => {
+        const list = context.commonPasswords;
+        assert.equal(core.isCommonPassword('PASSWORD', list), true);
+        assert.equal(core.isCommonPassword('Sunshine99!', list), true);
+        assert.equal(core.isCommonPassword('Sunshine99a', list), false);
+        assert.equal(core.isCommonPassword('password', undefined), false);
+    });
+
+    it('scores guessable patterns lower than random characters', () => {
+        const random = core.estimatePasswordStrength('k7#Vq9!mPz2w', context);
+        assert.equal(random.score, 3);
+        assert.deepEqual(random.weaknesses, []);
+
+        assert.deepEqual(core.estimatePasswordStrength('', context), { score: 0, bits: 0, weaknesses: [] });
+        assert.ok(core.estimatePasswordStrength('Monkeyqwe1', context).weaknesses.includes('dictionary'));
+        assert.ok(core.estimatePasswordStrength('Zxcvbnm12!', context).weaknesses.includes('keyboard'));
+        assert.ok(core.estimatePasswordStrength('Aaaa1111!x', context).weaknesses.includes('repeat'));
+        assert.ok(core.estimatePasswordStrength('Doe1990!!x', context).weaknesses.includes('personal'));
+        assert.equal(core.estimatePasswordStrength('Password1', context).bits, 0);
+    });
+
+    it('reports each requirement for the checklist', () => {
+        assert.deepEqual(core.checkPasswordRules('abc', context), {
+            length: false, upper: false, lower: true, digit: false, personal: true, common: true, strength: false
+        });
+        assert.ok(Object.values(core.checkPasswordRules('Tr0ub4dor&3x', context)).every(Boolean));
+        assert.deepEqual(Object.keys(core.checkPasswordRules('x', context)), core.PASSWORD_RULES.map(rule => rule.id));
+    });
+});
+
+describe('submit gating', () => {
+    it('allows submit only with no errors, no pending checks and every required answer given', () => {
+        const answers = { 'first-name': 'John', 'last-name': 'Doe', 'middle-initial': '' };
+        assert.equal(core.canSubmit(answers, ['first-name', 'last-name'], {}), true);
+        assert.equal(core.canSubmit(answers, ['first-name', 'middle-initial'], {}), false);
+        assert.equal(core.canSubmit(answers, ['first-name'], { email: 'Invalid email' }), false);
+        assert.equal(core.canSubmit({}, [], {}), true);
+        assert.equal(core.canSubmit(answers, ['first-name'], {}, ['userid']), false);
+    });
+});
@@ -0,0 +1,96 @@
+/*
+Program name: thankyou.js
+Author: Muhammad Adnan
+Date created: December 19, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Page script for thankyou.html: date, confirmation number and registration summary
+*/
+
+// Display current date
+function updateDate() {
+    const now = new Date();
+    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    document.getElementById('current-date').textContent = now.toLocaleDateString(getLocaleTag(), options);
+}
+
+// Show the confirmation number from the registration response, or the pending notice for a queued one
+function showConfirmation() {
+    const params = new URLSearchParams(window.location.search);
+    const reference = params.get('ref');
+
+    showSummary(reference);
+
+    if (params.get('queued')) {
+        setStatus('thankyou.queued', 'You appear to be offline. Your registration has been saved and will be sent automatically when your connection returns. Please keep this browser open until it has been sent; if every window of it is closed, the saved registration can no longer be sent.');
+        window.addEventListener('registration-sent', function(e) {
+            setStatus('thankyou.submitted', 'Your patient registration has been submitted successfully.');
+            showReference(e.detail.reference);
+            showSummary(e.detail.reference);
+        });
+        window.addEventListener('registration-rejected', function() {
+            setStatus('thankyou.rejected', 'We could not accept your saved registration. Please contact us or register again.');
+        });
+    } else if (reference) {
+        showReference(reference);
+    }
+    // A registration queued earlier that no open tab could read before it expired
+    window.addEventListener('registration-expired', function() {
+        setStatus('alerts.queueExpired', 'A registration saved while you were offline could not be sent and has been deleted. Please register again.');
+    });
+}
+
+// Status text stays translatable through its data-i18n key
+function setStatus(key, text) {
+    const status = document.getElementById('submission-status');
+    status.dataset.i18n = key;
+    status.dataset.i18nDefault = text;
+    status.textContent = t(key, text);
+}
+
+function showReference(reference) {
+    if (!reference) return;
+    const confirmation = document.getElementById('confirmation-number');
+    const label = document.createElement('span');
+    label.dataset.i18n = 'thankyou.reference';
+    label.textContent = 'Your confirmation number is:';
+    const strong = document.createElement('strong');
+    strong.textContent = reference;
+    confirmation.replaceChildren(label, ' ', strong);
+    applyTranslations();
+}
+
+// Show the summary saved by the form page, with print and PDF download
+let summaryReference = '';
+
+async function showSummary(reference) {
+    const summary = await loadRegistrationSummary();
+    if (!summary) return;
+    if (reference) summaryReference = reference;
+    summary.reference = summaryReference;
+
+    const content = document.getElementById('summary-content');
+    content.textContent = '';
+    content.appendChild(renderRegistrationSummary(summary));
+    document.getElementById('registration-summary').hidden = false;
+
+    document.getElementById('print-summary-button').onclick = () => printRegistrationSummary(summary);
+    document.getElementById('download-summary-button').onclick = () => downloadRegistrationSummary(summary);
+}
+
+// Re-render the summary headings in the new language (the answers stay as they were entered)
+document.addEventListener('localechange', function() {
+    showSummary();
+});
+
+// Initialize date on page load
+window.addEventListener('load', updateDate);
+
+// Registered before submission.js so a queued registration sent on load is reported
+document.addEventListener('DOMContentLoaded', showConfirmation);
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('contact-button').addEventListener('click', contactUs);
+    // The summary names the clinic from the site configuration
+    siteConfigReady.then(() => showSummary());
+});
@@ -0,0 +1,14 @@
+/*
+Program name: validation-core-global.mjs
+Author: Muhammad Adnan
+Date created: December 20, 2025
+Date last edited: December 20, 2025
+Version: 1.0
+Description: Makes validation-core.mjs available to the page scripts as window.ValidationCore
+
+The page scripts are classic scripts loaded with defer, so they run after this module and can use it as they load.
+*/
+
+import * as ValidationCore from './validation-core.mjs';
+
+window.ValidationCore = ValidationCore;
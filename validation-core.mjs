@@ -0,0 +1,443 @@
+/*
+Program name: validation-core.mjs
+Author: Muhammad Adnan
+Date created: December 20, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Validation rules and formatters for patient-form as plain functions, with no access to the page
+
+Every validator takes the value plus an optional context object and returns true, false, or a reason code
+string when the value is invalid. The page builds the context from the form (see getValidationContext in
+validation.js); tests build it by hand. Context keys, all optional:
+  dateOrder       - 'mdy' or 'dmy', the order dates are typed in (default 'mdy')
+  today           - Date counted as today by the date checks (default: the current date)
+  password        - the password, for validateConfirmPassword
+  state           - selected state code, for validateZip
+  zipState        - state the ZIP belongs to in the bundled ZIP data, or null when it isn't listed
+  personalValues  - lowercase values a password must not contain (see getPersonalValues)
+  commonPasswords - Set of blocklisted passwords
+  dictionaryWords - Set of dictionary words (the letters-only blocklist entries of 4+ characters)
+*/
+
+// SSNs that were published in advertising and voided by the SSA
+export const VOIDED_SSNS = ['078-05-1120', '219-09-9999'];
+
+// Password requirements in the order they are checked; the first one that fails is the password's reason code
+export const PASSWORD_RULES = [
+    { id: 'length', text: 'At least 8 characters' },
+    { id: 'upper', text: 'An uppercase letter' },
+    { id: 'lower', text: 'A lowercase letter' },
+    { id: 'digit', text: 'A number' },
+    { id: 'personal', text: 'Does not contain your user ID, name or date of birth' },
+    { id: 'common', text: 'Not a commonly used password' },
+    { id: 'strength', text: 'Strength is at least Fair' }
+];
+
+export const STRENGTH_LEVELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+// Bits needed for each level above Very weak, and the level a password must reach
+export const STRENGTH_THRESHOLDS = [25, 40, 60, 80];
+export const MIN_PASSWORD_SCORE = 2;
+
+// Rows and runs people type without thinking (checked forwards and backwards)
+const KEYBOARD_SEQUENCES = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1234567890', 'abcdefghijklmnopqrstuvwxyz'];
+
+// Names
+export function validateFirstName(name) {
+    if (!name) return false;
+    const pattern = /^[a-zA-Z'-]{1,30}$/;
+    return pattern.test(name);
+}
+
+export function validateMiddleInitial(initial) {
+    if (!initial) return true; // Optional
+    const pattern = /^[a-zA-Z]$/;
+    return pattern.test(initial);
+}
+
+export function validateLastName(name) {
+    if (!name) return false;
+    const pattern = /^[a-zA-Z'-]{1,30}$/;
+    return pattern.test(name);
+}
+
+// Dates
+
+// Parse MM/DD/YYYY or DD/MM/YYYY (by dateOrder) into a local Date, or null when it isn't a real date (e.g., Feb 31)
+export function parseDate(value, dateOrder) {
+    const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value || '');
+    if (!match) return null;
+
+    const dayFirst = dateOrder === 'dmy';
+    const month = parseInt(dayFirst ? match[2] : match[1], 10);
+    const day = parseInt(dayFirst ? match[1] : match[2], 10);
+    const year = parseInt(match[3], 10);
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+// A real date, not in the future and not more than 120 years ago
+export function validateDateOfBirth(dob, context = {}) {
+    if (!dob) return false;
+
+    const inputDate = parseDate(dob, context.dateOrder);
+    if (!inputDate) return false;
+
+    const today = new Date(context.today || Date.now());
+    today.setHours(0, 0, 0, 0);
+
+    // Check if date is in the future
+    if (inputDate > today) return false;
+
+    // Check if date is more than 120 years ago
+    const minDate = new Date(today);
+    minDate.setFullYear(minDate.getFullYear() - 120);
+    if (inputDate < minDate) return false;
+
+    return true;
+}
+
+// Input masks. Each # in the pattern is a digit; the other characters are filled in for the user, and only once
+// a digit follows them (or the user types one at the end). normalize cleans up the value first, or returns null
+// to leave it as typed; it is given the language's date order ('mdy' or 'dmy').
+export const INPUT_MASKS = {
+    ssn: { pattern: '###-##-####' },
+    phone: { pattern: '###-###-####', normalize: removeCountryCode },
+    zip: { pattern: '#####-####' },
+    date: { pattern: '##/##/####', normalize: padDateParts }
+};
+
+// Format a value with a mask and work out where the caret goes: after the same number of digits it was after
+// before formatting, so typing or deleting in the middle doesn't send it to the end.
+// Returns { value, caret }, plus asTyped: true when normalize left the value alone.
+export function applyInputMask(value, caret, maskName, dateOrder = 'mdy') {
+    const mask = INPUT_MASKS[maskName];
+    let text = value;
+    let digitsBefore = countDigits(value.slice(0, caret));
+
+    if (mask.normalize) {
+        const normalized = mask.normalize(value, dateOrder);
+        if (normalized === null) return { value: value, caret: caret, asTyped: true };
+        if (normalized !== value) {
+            // A pasted value was rewritten; the caret goes to the end of it
+            text = normalized;
+            digitsBefore = Infinity;
+        }
+    }
+
+    const slots = mask.pattern.split('#').length - 1;
+    const digits = text.replace(/\D/g, '').substr(0, slots);
+    let formatted = '';
+    let used = 0;
+    let newCaret = digitsBefore === 0 ? 0 : null;
+
+    for (const char of mask.pattern) {
+        if (used === digits.length) break;
+        if (char === '#') {
+            formatted += digits[used++];
+            if (used === digitsBefore) newCaret = formatted.length;
+        } else {
+            formatted += char;
+            // A caret that would sit just before a separator goes after it
+            if (newCaret === formatted.length - 1 && digitsBefore > 0) newCaret = formatted.length;
+        }
+    }
+
+    // A separator typed after the last digit stays
+    const next = mask.pattern.charAt(formatted.length);
+    if (used > 0 && next && next !== '#' && /[-/.]\s*$/.test(text)) {
+        formatted += next;
+        if (newCaret === formatted.length - 1) newCaret = formatted.length;
+    }
+
+    return { value: formatted, caret: newCaret === null ? formatted.length : newCaret };
+}
+
+function countDigits(text) {
+    return text.replace(/\D/g, '').length;
+}
+
+// US and Canadian numbers with their country code: "+1 (713) 555-0123", "001 713 555 0123", "17135550123".
+// The code is only taken off once the whole number is there, so a number typed key by key keeps its + or 00
+// (left as typed) until then. Numbers from other countries ("+44 ...") are left as typed; validatePhone reports them.
+function removeCountryCode(value) {
+    const digits = value.replace(/\D/g, '');
+    if (/^\s*\+/.test(value)) return /^\s*\+\s*1/.test(value) && digits.length === 11 ? digits.slice(1) : null;
+    if (/^\s*00/.test(value)) return /^\s*001/.test(value) && digits.length === 13 ? digits.slice(3) : null;
+    return digits.length === 11 && digits[0] === '1' ? digits.slice(1) : value;
+}
+
+// Dates without leading zeros: "3/4/2020" -> "03/04/2020". A separator typed after a one-digit month or day
+// ends that part, so "3/" -> "03/" and "03/4/" -> "03/04/" while typing. A pasted YYYY-MM-DD date is put in the
+// language's order: "1990-12-31" -> "12/31/1990", or "31/12/1990" day first.
+function padDateParts(value, dateOrder) {
+    const iso = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})\s*$/.exec(value);
+    if (iso) {
+        const month = iso[2].padStart(2, '0');
+        const day = iso[3].padStart(2, '0');
+        return dateOrder === 'dmy' ? `${day}/${month}/${iso[1]}` : `${month}/${day}/${iso[1]}`;
+    }
+    const match = /^\s*(\d{1,2})[/.-](?:(\d{1,2})[/.-](\d{0,4}))?\s*$/.exec(value);
+    if (!match) return value;
+    const month = match[1].padStart(2, '0');
+    return match[2] === undefined ? `${month}/` : `${month}/${match[2].padStart(2, '0')}/${match[3]}`;
+}
+
+// Whole values formatted with the masks above
+
+// 123-45-6789
+export function formatSSN(value) {
+    return applyInputMask(value, value.length, 'ssn').value;
+}
+
+// 713-555-1234
+export function formatPhone(value) {
+    return applyInputMask(value, value.length, 'phone').value;
+}
+
+// 12345 or ZIP+4: 12345-6789
+export function formatZip(value) {
+    return applyInputMask(value, value.length, 'zip').value;
+}
+
+// SSA rules: area (first 3) is not 000, 666 or 900-999, group (middle 2) is not 00, serial (last 4) is not 0000
+export function validateSSN(ssn) {
+    if (!ssn) return 'required';
+    const match = /^(\d{3})-(\d{2})-(\d{4})$/.exec(ssn);
+    if (!match) return 'format';
+
+    const [, area, group, serial] = match;
+    if (area === '000' || area === '666' || area[0] === '9') return 'invalidArea';
+    if (group === '00') return 'invalidGroup';
+    if (serial === '0000') return 'invalidSerial';
+    if (VOIDED_SSNS.includes(ssn)) return 'voided';
+
+    return true;
+}
+
+// Addresses as mail servers accept them: dot-atom local part and hostname labels, alphabetic top-level domain
+export function validateEmail(email) {
+    if (!email) return 'required';
+    if (email.length > 254) return 'tooLong';
+
+    const at = email.indexOf('@');
+    if (at < 1 || at !== email.lastIndexOf('@') || at === email.length - 1) return 'format';
+
+    const local = email.substring(0, at);
+    const labels = email.substring(at + 1).split('.');
+
+    if (local.length > 64) return 'localTooLong';
+    if (!/^[a-zA-Z0-9._%+-]+$/.test(local)) return 'localCharacters';
+    if (local.startsWith('.') || local.endsWith('.') || local.includes('..')) return 'localDots';
+
+    // Each domain label is 1-63 letters, digits or inner hyphens (this also rejects empty labels from extra dots)
+    if (labels.length < 2) return 'domain';
+    const labelPattern = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+    if (!labels.every(label => labelPattern.test(label))) return 'domain';
+    if (!/^[a-zA-Z]{2,}$/.test(labels[labels.length - 1])) return 'topLevelDomain';
+
+    return true;
+}
+
+// North American Numbering Plan: area code and exchange start with 2-9 and are not N11 service codes (211, 911...)
+export function validatePhone(phone) {
+    if (!phone) return true; // Optional field
+    // A +1 number still being typed is not a whole number yet
+    if (phone.startsWith('+')) return /^\+\s*1/.test(phone) ? 'format' : 'international';
+    const match = /^(\d{3})-(\d{3})-(\d{4})$/.exec(phone);
+    if (!match) return 'format';
+
+    const [, areaCode, exchange, line] = match;
+    if (/^[01]/.test(areaCode) || areaCode.endsWith('11')) return 'invalidAreaCode';
+    if (/^[01]/.test(exchange) || exchange.endsWith('11')) return 'invalidExchange';
+    // 555-0100 through 555-0199 are reserved for fiction
+    if (exchange === '555' && line.startsWith('01')) return 'fictional';
+
+    return true;
+}
+
+// Same rules for a phone number that must be given (parent/guardian)
+export function validateRequiredPhone(phone) {
+    return phone ? validatePhone(phone) : 'required';
+}
+
+// Address
+export function validateAddress(address) {
+    if (!address) return false;
+    return address.length >= 2 && address.length <= 30;
+}
+
+export function validateAddressOptional(address) {
+    if (!address) return true; // Optional
+    return address.length >= 2 && address.length <= 30;
+}
+
+export function validateCity(city) {
+    if (!city) return false;
+    return city.length >= 2 && city.length <= 30;
+}
+
+export function validateState(state) {
+    return state !== '' && state !== null && state !== undefined;
+}
+
+// 5 digits or ZIP+4, and in the selected state when the ZIP is in the bundled data
+export function validateZip(zip, context = {}) {
+    if (!zip) return false;
+    const pattern = /^\d{5}(-\d{4})?$/;
+    if (!pattern.test(zip)) return false;
+
+    if (context.zipState && context.state && context.zipState !== context.state) return 'stateMismatch';
+
+    return true;
+}
+
+// Account
+export function validateUserId(userId) {
+    if (!userId) return false;
+    // Must start with letter, 5-20 chars, letters/numbers/dash/underscore only
+    if (userId.length < 5 || userId.length > 20) return false;
+    if (/^\d/.test(userId)) return false; // Can't start with number
+    const pattern = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+    return pattern.test(userId);
+}
+
+// The first unmet password requirement is the reason code
+export function validatePassword(password, context = {}) {
+    if (!password) return 'required';
+
+    const rules = checkPasswordRules(password, context);
+    const failed = PASSWORD_RULES.find(rule => !rules[rule.id]);
+    return failed ? failed.id : true;
+}
+
+export function validateConfirmPassword(confirmPass, context = {}) {
+    return confirmPass === context.password && confirmPass !== '';
+}
+
+// Passwords
+
+// Values a password must not contain: user ID, names and the date of birth in the ways people write it.
+// details: { userId, firstName, lastName, dob } with dob a Date or null
+export function getPersonalValues(details) {
+    const values = [details.userId, details.firstName, details.lastName]
+        .map(value => (value || '').trim().toLowerCase())
+        .filter(value => value.length >= 3);
+
+    const dob = details.dob;
+    if (dob) {
+        const year = String(dob.getFullYear());
+        const month = String(dob.getMonth() + 1).padStart(2, '0');
+        const day = String(dob.getDate()).padStart(2, '0');
+        values.push(year, month + day, day + month, month + day + year, day + month + year);
+    }
+
+    return values;
+}
+
+// The password itself, or the password without a trailing number/symbol ("Dragon2024!" -> "dragon"), is on the list
+export function isCommonPassword(password, commonPasswords) {
+    if (!commonPasswords) return false;
+    const lower = password.toLowerCase();
+    const base = lower.replace(/[^a-z]+$/, '');
+    return commonPasswords.has(lower) || (base.length >= 4 && commonPasswords.has(base));
+}
+
+// Estimate strength in bits: characters that are not part of a guessable pattern count for the full character
+// pool, while dictionary words, keyboard runs, sequences, repeats and personal details count for very little.
+// Returns { score: 0-4, bits, weaknesses: ['dictionary', 'keyboard', 'repeat', 'personal'] }
+export function estimatePasswordStrength(password, context = {}) {
+    if (!password) return { score: 0, bits: 0, weaknesses: [] };
+
+    const lower = password.toLowerCase();
+    const covered = new Array(password.length).fill(false);
+    const weaknesses = [];
+    const dictionaryWords = context.dictionaryWords || new Set();
+    let patternBits = 0;
+
+    // Mark a guessable run of characters and add the few bits it is worth
+    function addPattern(start, length, kind, bits) {
+        for (let i = start; i < start + length; i++) covered[i] = true;
+        if (!weaknesses.includes(kind)) weaknesses.push(kind);
+        patternBits += bits;
+    }
+
+    // Personal details are worth nothing to someone who knows the patient
+    (context.personalValues || []).forEach(value => {
+        const index = lower.indexOf(value);
+        if (index !== -1) addPattern(index, value.length, 'personal', 0);
+    });
+
+    // Dictionary words (longest match at each position), worth about log2 of the list size
+    const wordBits = Math.log2(Math.max(dictionaryWords.size, 2));
+    for (let i = 0; i < lower.length; i++) {
+        for (let j = lower.length; j >= i + 4; j--) {
+            if (dictionaryWords.has(lower.slice(i, j))) {
+                addPattern(i, j - i, 'dictionary', wordBits);
+                i = j - 1;
+                break;
+            }
+        }
+    }
+
+    // Keyboard rows and alphabet/number sequences of 3 or more ("qwe", "cba", "789")
+    for (let i = 0; i < lower.length - 2; i++) {
+        let end = i + 1;
+        while (end < lower.length && isKeyboardRun(lower.slice(i, end + 1))) end++;
+        if (end - i >= 3) {
+            addPattern(i, end - i, 'keyboard', 4);
+            i = end - 1;
+        }
+    }
+
+    // The same character 3+ times ("aaa") or a repeated chunk ("abcabc")
+    const repeatPattern = /(.)\1{2,}|(.{2,}?)\2+/g;
+    let match;
+    while ((match = repeatPattern.exec(lower)) !== null) {
+        addPattern(match.index, match[0].length, 'repeat', 4);
+    }
+
+    // Everything else counts as random characters from the pool in use
+    let pool = 0;
+    if (/[a-z]/.test(password)) pool += 26;
+    if (/[A-Z]/.test(password)) pool += 26;
+    if (/\d/.test(password)) pool += 10;
+    if (/[^a-zA-Z0-9]/.test(password)) pool += 33;
+
+    const randomCount = covered.filter(isCovered => !isCovered).length;
+    let bits = randomCount * Math.log2(pool) + patternBits;
+    if (isCommonPassword(password, context.commonPasswords)) bits = 0;
+
+    const score = STRENGTH_THRESHOLDS.filter(threshold => bits >= threshold).length;
+    return { score: score, bits: Math.round(bits), weaknesses: weaknesses };
+}
+
+function isKeyboardRun(text) {
+    return KEYBOARD_SEQUENCES.some(sequence =>
+        sequence.includes(text) || sequence.split('').reverse().join('').includes(text)
+    );
+}
+
+// Which requirements the password meets: { length: true, upper: false, ... }
+export function checkPasswordRules(password, context = {}) {
+    const strength = estimatePasswordStrength(password, context);
+    return {
+        length: password.length >= 8,
+        upper: /[A-Z]/.test(password),
+        lower: /[a-z]/.test(password),
+        digit: /\d/.test(password),
+        personal: !strength.weaknesses.includes('personal'),
+        common: !isCommonPassword(password, context.commonPasswords),
+        strength: strength.score >= MIN_PASSWORD_SCORE
+    };
+}
+
+// Submit gating: no field has an error, no server check is still to answer, and every field that is required
+// right now has an answer. answers and errors are keyed by field id; required and pending list field ids.
+export function canSubmit(answers, required, errors, pending = []) {
+    return Object.keys(errors).length === 0 && pending.length === 0 && required.every(id => !!answers[id]);
+}
@@ -2,13 +2,25 @@
 Program name: validation.js
 Author: Muhammad Adnan
 Date created: October 15, 2025
-Date last edited: December 4, 2025
+Date last edited: December 22, 2025
 Version: 4.0
 Description: Real-time validation with local storage integration for Project 4
 */
 
 // Global error tracking
 let formErrors = {};
+// Reason code behind each error, when the validator gave one
+let formErrorReasons = {};
+
+// Server checks (asyncValidator) waiting to run or to answer, by field id: { timer, controller }
+let pendingValidations = {};
+// Last answer of each server check and the answers it was for, so an unchanged field isn't checked again
+let asyncResults = {};
+// Server checks that couldn't be made, by field id: { key, atSubmit } (see validateFieldAsync)
+let unverifiedChecks = {};
+
+// How long typing has to pause before a server check is sent
+const ASYNC_VALIDATION_DELAY_MS = 400;
 
 // Initialize validation when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -16,89 +28,213 @@ document.addEventListener('DOMContentLoaded', function() {
     checkFormValidity();
 });
 
-// Initialize all field validations
-function initializeValidation() {
-    // Personal Information
-    addFieldValidation('first-name', validateFirstName, 'First name must be 1-30 characters, letters, apostrophes, and dashes only');
-    addFieldValidation('middle-initial', validateMiddleInitial, 'Middle initial must be a single letter (optional)');
-    addFieldValidation('last-name', validateLastName, validateLastNameMessage);
-    addFieldValidation('dob', validateDateOfBirth, 'Date must be in MM/DD/YYYY format, not in future, not more than 120 years ago');
-    
-    // SSN with auto-formatting
-    const ssnField = document.getElementById('ssn');
-    ssnField.addEventListener('input', formatSSN);
-    addFieldValidation('ssn', validateSSN, 'SSN must be 9 digits in XXX-XX-XXXX format');
-    
-    // Address Information
-    addFieldValidation('address1', validateAddress, 'Address must be 2-30 characters');
-    addFieldValidation('address2', validateAddressOptional, 'Address must be 2-30 characters if entered');
-    addFieldValidation('city', validateCity, 'City must be 2-30 characters');
-    addFieldValidation('state', validateState, 'Please select a state');
-    addFieldValidation('zip', validateZip, 'Zip code must be 5 digits');
-    
-    // Contact Information
-    const emailField = document.getElementById('email');
-    emailField.addEventListener('blur', function() {
-        this.value = this.value.toLowerCase();
-    });
-    addFieldValidation('email', validateEmail, 'Email must be in format name@domain.tld');
-    
-    // Phone with auto-formatting
-    const phoneField = document.getElementById('phone');
-    phoneField.addEventListener('input', formatPhone);
-    addFieldValidation('phone', validatePhone, 'Phone must be in format 000-000-0000');
-    
-    // Account Information
-    const userIdField = document.getElementById('userid');
-    userIdField.addEventListener('blur', function() {
-        this.value = this.value.toLowerCase();
-    });
-    addFieldValidation('userid', validateUserId, 'User ID must be 5-20 characters, start with letter, no spaces or special characters except dash and underscore');
-    addFieldValidation('password', validatePassword, 'Password must be 8+ characters with at least 1 uppercase, 1 lowercase, and 1 digit');
-    addFieldValidation('confirm-password', validateConfirmPassword, 'Passwords must match');
-    
-    // Radio button validations
-    document.querySelectorAll('input[name="gender"]').forEach(radio => {
-        radio.addEventListener('change', () => validateRadioGroup('gender', 'Please select a gender'));
-    });
-    document.querySelectorAll('input[name="vaccinated"]').forEach(radio => {
-        radio.addEventListener('change', () => validateRadioGroup('vaccinated', 'Please select vaccination status'));
+// Keep dates and visible error messages in step with the selected language
+document.addEventListener('localechange', function(e) {
+    const { locale, previousLocale } = e.detail;
+
+    if (locale !== previousLocale) {
+        // Re-type dates in the new day/month order so their meaning doesn't change (the draft keeps them as YYYY-MM-DD)
+        FORM_FIELDS.filter(field => field.type === 'date').forEach(field => {
+            const element = document.getElementById(field.id);
+            const date = parseLocalDate(element.value, previousLocale);
+            if (date) element.value = formatLocalDate(date);
+        });
+    }
+
+    Object.keys(formErrors).concat(Object.keys(unverifiedChecks)).forEach(fieldId => {
+        const field = getFieldSchema(fieldId);
+        if (field) validateSchemaField(field);
     });
-    document.querySelectorAll('input[name="insurance"]').forEach(radio => {
-        radio.addEventListener('change', () => validateRadioGroup('insurance', 'Please select insurance status'));
+
+    // The review panel is rebuilt in the new language the next time it is opened
+    document.getElementById('review-area').style.display = 'none';
+});
+
+// Initialize all field validations from the field schema
+function initializeValidation() {
+    FORM_FIELDS.forEach(field => {
+        linkErrorMessage(field.id);
+
+        if (field.type === 'radio' || field.type === 'checkbox') {
+            document.querySelectorAll(`input[name="${field.id}"]`).forEach(input => {
+                input.addEventListener('change', () => validateSchemaField(field));
+            });
+            return;
+        }
+
+        const element = document.getElementById(field.id);
+        if (!element) return;
+
+        // Lowercase on blur (email, user ID)
+        if (field.lowercase) {
+            element.addEventListener('blur', function() {
+                this.value = this.value.toLowerCase();
+            });
+        }
+
+        // Validate on input and on blur (errors are announced when the user leaves the field)
+        if (getFieldValidator(field)) {
+            element.addEventListener('input', () => validateSchemaField(field));
+            element.addEventListener('blur', function() {
+                if (!validateSchemaField(field, 'blur')) announceFieldError(field);
+            });
+        }
+
+        // Check again when an answer the server check also uses changes (only once this field is filled in)
+        (field.asyncDependsOn || []).forEach(id => {
+            document.getElementById(id).addEventListener('input', function() {
+                if (element.value) validateSchemaField(field);
+            });
+        });
     });
+
+    document.getElementById('patient-form').addEventListener('reset', clearAllErrors);
 }
 
-// Add validation to a field with real-time checking
-function addFieldValidation(fieldId, validationFunc, errorMessage) {
-    const field = document.getElementById(fieldId);
-    if (!field) return;
-    
-    // Validate on input
-    field.addEventListener('input', function() {
-        validateField(fieldId, validationFunc, errorMessage);
-    });
-    
-    // Validate on blur
-    field.addEventListener('blur', function() {
-        validateField(fieldId, validationFunc, errorMessage);
-    });
+// Element that carries aria-invalid for a field: the input itself, or the radiogroup wrapper
+function getAriaTarget(fieldId) {
+    return document.getElementById(fieldId) || document.getElementById(fieldId + '-group');
+}
+
+// Point the field at its error span so screen readers read the message with the field
+function linkErrorMessage(fieldId) {
+    const target = getAriaTarget(fieldId);
+    const errorId = fieldId + '-error';
+    if (!target || !document.getElementById(errorId)) return;
+
+    const describedBy = (target.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!describedBy.includes(errorId)) {
+        describedBy.push(errorId);
+        target.setAttribute('aria-describedby', describedBy.join(' '));
+    }
 }
 
-// Validate individual field
+// Validate one schema field, with its message in the current language.
+// recheck ('blur' or 'submit') asks again a server check that couldn't be made before.
+function validateSchemaField(field, recheck) {
+    // Fields hidden by the form rules can't be wrong (see form-rules.js)
+    if (!isFieldActive(field)) {
+        cancelAsyncValidation(field.id);
+        clearFieldError(field);
+        checkFormValidity();
+        return true;
+    }
+    if (field.type === 'checkbox') {
+        return validateCheckboxGroup(field);
+    }
+    if (field.type === 'radio') {
+        return validateRadioGroup(field.id, getFieldMessage(field));
+    }
+    if (field.type === 'list') {
+        return validateListField(field);
+    }
+    const validator = getFieldValidator(field);
+    if (!validator) return true;
+    const isValid = validateField(field.id, validator, reason => getFieldMessage(field, reason));
+    return field.asyncValidator ? validateFieldAsync(field, isValid, recheck) : isValid;
+}
+
+// Run a field's server check once its own rules pass. An answer already known for the same values is shown
+// straight away; otherwise the field shows as pending (and Submit stays disabled) until the server answers.
+// A newer change cancels a check that is waiting or under way.
+// A check that couldn't be made lets the field pass, marked as not checked, until it is asked again: on blur,
+// and once at Submit. If that one fails too, the next Submit goes ahead and the server checks the answer.
+function validateFieldAsync(field, isValid, recheck) {
+    cancelAsyncValidation(field.id);
+    if (!isValid || !document.getElementById(field.id).value) return isValid;
+
+    const key = getAsyncCheckKey(field);
+    if (asyncResults[field.id] && asyncResults[field.id].key === key) {
+        return applyAsyncResult(field, asyncResults[field.id].result);
+    }
+
+    const unverified = unverifiedChecks[field.id];
+    if (unverified && unverified.key === key && recheck !== 'blur' && (recheck !== 'submit' || unverified.atSubmit)) {
+        showUnverified(field.id);
+        return true;
+    }
+
+    showPending(field.id);
+    pendingValidations[field.id] = {
+        timer: setTimeout(() => runAsyncValidation(field, key, recheck === 'submit'), ASYNC_VALIDATION_DELAY_MS),
+        controller: null
+    };
+    checkFormValidity();
+    return true;
+}
+
+async function runAsyncValidation(field, key, atSubmit) {
+    const controller = new AbortController();
+    pendingValidations[field.id].controller = controller;
+
+    let result = null;
+    try {
+        result = await field.asyncValidator(document.getElementById(field.id).value, getValidationContext(), controller.signal);
+    } catch (error) {
+        if (!controller.signal.aborted) console.error('Error checking ' + field.id + ':', error);
+    }
+    // A newer check replaced this one
+    if (controller.signal.aborted) return;
+
+    delete pendingValidations[field.id];
+    // A check that couldn't be made (null) passes but isn't kept as an answer
+    if (result === null) {
+        unverifiedChecks[field.id] = { key: key, atSubmit: atSubmit };
+        applyAsyncResult(field, true);
+        showUnverified(field.id);
+        return;
+    }
+    delete unverifiedChecks[field.id];
+    asyncResults[field.id] = { key: key, result: result };
+    applyAsyncResult(field, result);
+}
+
+// Show a server check's answer the same way as any other validation result
+function applyAsyncResult(field, result) {
+    return validateField(field.id, () => result, reason => getFieldMessage(field, reason));
+}
+
+// Stop a server check that is waiting or under way
+function cancelAsyncValidation(fieldId) {
+    const pending = pendingValidations[fieldId];
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    if (pending.controller) pending.controller.abort();
+    delete pendingValidations[fieldId];
+}
+
+function hasPendingValidations() {
+    return Object.keys(pendingValidations).length > 0;
+}
+
+// The answers a server check depends on
+function getAsyncCheckKey(field) {
+    return JSON.stringify([field.id].concat(field.asyncDependsOn || []).map(id => document.getElementById(id).value));
+}
+
+// Validate individual field. The validator gets the value and the validation context and returns true, false
+// or a reason code; errorMessage is a string or a function that turns the reason code into a message.
 function validateField(fieldId, validationFunc, errorMessage) {
     const field = document.getElementById(fieldId);
     const value = field.value;
-    const errorSpan = document.getElementById(fieldId + '-error');
     
-    let isValid = validationFunc(value);
+    const result = validationFunc(value, getValidationContext());
+    const isValid = result === true;
+    logValidationResult(fieldId, result);
     
     if (isValid) {
         showSuccess(fieldId);
         delete formErrors[fieldId];
+        delete formErrorReasons[fieldId];
     } else {
-        showError(fieldId, errorMessage);
-        formErrors[fieldId] = errorMessage;
+        const message = typeof errorMessage === 'function' ? errorMessage(result) : errorMessage;
+        showError(fieldId, message);
+        formErrors[fieldId] = message;
+        if (typeof result === 'string') {
+            formErrorReasons[fieldId] = result;
+        } else {
+            delete formErrorReasons[fieldId];
+        }
     }
     
     checkFormValidity();
@@ -110,11 +246,21 @@ function showError(fieldId, message) {
     const field = document.getElementById(fieldId);
     const errorSpan = document.getElementById(fieldId + '-error');
     
-    field.classList.add('input-error');
-    field.classList.remove('input-success');
+    // Radio groups have no single element, only the error span
+    if (field) {
+        field.classList.add('input-error');
+        field.classList.remove('input-success', 'input-pending');
+        field.removeAttribute('aria-busy');
+    }
+    
+    const ariaTarget = getAriaTarget(fieldId);
+    if (ariaTarget) {
+        ariaTarget.setAttribute('aria-invalid', 'true');
+    }
     
     if (errorSpan) {
         errorSpan.textContent = message;
+        errorSpan.classList.remove('pending-message', 'unverified-message');
         errorSpan.style.display = 'block';
     }
 }
@@ -124,401 +270,367 @@ function showSuccess(fieldId) {
     const field = document.getElementById(fieldId);
     const errorSpan = document.getElementById(fieldId + '-error');
     
-    field.classList.remove('input-error');
-    field.classList.add('input-success');
+    if (field) {
+        field.classList.remove('input-error', 'input-pending');
+        field.removeAttribute('aria-busy');
+        field.classList.add('input-success');
+    }
+    
+    const ariaTarget = getAriaTarget(fieldId);
+    if (ariaTarget) {
+        ariaTarget.removeAttribute('aria-invalid');
+    }
     
     if (errorSpan) {
         errorSpan.textContent = '';
+        errorSpan.classList.remove('pending-message', 'unverified-message');
         errorSpan.style.display = 'none';
     }
 }
 
-// Validation functions
-function validateFirstName(name) {
-    if (!name) return false;
-    const pattern = /^[a-zA-Z'-]{1,30}$/;
-    return pattern.test(name);
-}
+// Show that a server check is under way; the error span says so instead of showing an error
+function showPending(fieldId) {
+    const field = document.getElementById(fieldId);
+    const errorSpan = document.getElementById(fieldId + '-error');
+
+    field.classList.remove('input-error', 'input-success');
+    field.classList.add('input-pending');
+    field.setAttribute('aria-busy', 'true');
 
-function validateMiddleInitial(initial) {
-    if (!initial) return true; // Optional
-    const pattern = /^[a-zA-Z]$/;
-    return pattern.test(initial);
+    errorSpan.textContent = t('validation.checking', 'Checking...');
+    errorSpan.classList.remove('unverified-message');
+    errorSpan.classList.add('pending-message');
+    errorSpan.style.display = 'block';
 }
 
-function validateLastName(name) {
-    if (!name) return false;
-    const pattern = /^[a-zA-Z'-]{1,30}$/;
-    return pattern.test(name);
+// Show that a server check couldn't be made; the field passes, with a note that it will be checked again
+function showUnverified(fieldId) {
+    const errorSpan = document.getElementById(fieldId + '-error');
+
+    document.getElementById(fieldId).classList.remove('input-success');
+    errorSpan.textContent = t('validation.unverified', 'We could not check this answer right now. It will be checked again.');
+    errorSpan.classList.add('unverified-message');
+    errorSpan.style.display = 'block';
 }
 
-function validateLastNameMessage(name) {
-    return 'Last name must be 1-30 characters, letters, apostrophes, and dashes only';
+// Everything the core validators may need from the rest of the form (see validation-core.mjs)
+// The names and date of birth (YYYY-MM-DD) are for the duplicate-patient check in remote-checks.js
+function getValidationContext() {
+    const zipMatch = lookupZip(document.getElementById('zip').value);
+    return Object.assign({
+        dateOrder: getLocaleInfo().dateOrder,
+        firstName: document.getElementById('first-name').value,
+        lastName: document.getElementById('last-name').value,
+        dob: dateToIso(document.getElementById('dob').value),
+        password: document.getElementById('password').value,
+        state: document.getElementById('state').value,
+        zipState: zipMatch ? zipMatch.state : null
+    }, getPasswordContext());
 }
 
-function validateDateOfBirth(dob) {
-    if (!dob) return false;
-    
-    const pattern = /^(0[1-9]|1[0-2])\/(0[1-9]|[12][0-9]|3[01])\/\d{4}$/;
-    if (!pattern.test(dob)) return false;
-    
-    // Parse the date
-    const parts = dob.split('/');
-    const month = parseInt(parts[0], 10);
-    const day = parseInt(parts[1], 10);
-    const year = parseInt(parts[2], 10);
-    
-    const inputDate = new Date(year, month - 1, day);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Check if date is in the future
-    if (inputDate > today) return false;
-    
-    // Check if date is more than 120 years ago
-    const minDate = new Date();
-    minDate.setFullYear(minDate.getFullYear() - 120);
-    if (inputDate < minDate) return false;
+function validateRadioGroup(name, errorMessage) {
+    const selected = document.querySelector(`input[name="${name}"]:checked`);
+    logValidationResult(name, !!selected);
     
-    // Validate the date is real (e.g., not Feb 31)
-    if (inputDate.getMonth() !== month - 1 || inputDate.getDate() !== day) return false;
+    if (selected) {
+        showSuccess(name);
+        delete formErrors[name];
+    } else {
+        showError(name, errorMessage);
+        formErrors[name] = errorMessage;
+    }
     
-    return true;
+    checkFormValidity();
+    return !!selected;
 }
 
-function formatSSN(e) {
-    let value = e.target.value.replace(/\D/g, '');
-    
-    if (value.length > 9) {
-        value = value.substr(0, 9);
-    }
+// A checkbox group only needs a box checked while a rule requires it (vaccinations once vaccinated is yes)
+function validateCheckboxGroup(field) {
+    const isValid = !isFieldRequired(field) || getFieldValue(field) !== '';
+    logValidationResult(field.id, isValid);
     
-    let formatted = '';
-    if (value.length > 0) {
-        formatted = value.substr(0, 3);
-        if (value.length > 3) {
-            formatted += '-' + value.substr(3, 2);
-        }
-        if (value.length > 5) {
-            formatted += '-' + value.substr(5, 4);
-        }
+    if (isValid) {
+        showSuccess(field.id);
+        delete formErrors[field.id];
+    } else {
+        const message = getFieldMessage(field);
+        showError(field.id, message);
+        formErrors[field.id] = message;
     }
     
-    e.target.value = formatted;
+    checkFormValidity();
+    return isValid;
 }
 
-function formatPhone(e) {
-    let value = e.target.value.replace(/\D/g, '');
+// Check overall form validity and enable/disable submit button
+function checkFormValidity() {
+    const submitButton = document.getElementById('submit-button');
+    if (!submitButton) return;
     
-    if (value.length > 10) {
-        value = value.substr(0, 10);
-    }
+    // No errors, and every field the form rules currently show and require is filled in
+    const answers = getFormAnswers();
+    const required = FORM_FIELDS
+        .filter(field => isFieldActive(field, answers) && isFieldRequired(field, answers))
+        .map(field => field.id);
     
-    let formatted = '';
-    if (value.length > 0) {
-        formatted = value.substr(0, 3);
-        if (value.length > 3) {
-            formatted += '-' + value.substr(3, 3);
-        }
-        if (value.length > 6) {
-            formatted += '-' + value.substr(6, 4);
-        }
+    // Enable/disable submit button (never while a server check is still to answer or the registration is being sent)
+    if (!submissionInProgress && ValidationCore.canSubmit(answers, required, formErrors, Object.keys(pendingValidations))) {
+        submitButton.disabled = false;
+        submitButton.style.opacity = '1';
+        submitButton.style.cursor = 'pointer';
+    } else {
+        submitButton.disabled = true;
+        submitButton.style.opacity = '0.5';
+        submitButton.style.cursor = 'not-allowed';
     }
     
-    e.target.value = formatted;
-}
-
-function validateSSN(ssn) {
-    if (!ssn) return false;
-    const pattern = /^\d{3}-\d{2}-\d{4}$/;
-    return pattern.test(ssn);
-}
-
-function validateEmail(email) {
-    if (!email) return false;
-    const pattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-    return pattern.test(email);
-}
-
-function validatePhone(phone) {
-    if (!phone) return true; // Optional field
-    const pattern = /^\d{3}-\d{3}-\d{4}$/;
-    return pattern.test(phone);
-}
-
-function validateAddress(address) {
-    if (!address) return false;
-    return address.length >= 2 && address.length <= 30;
+    // Explain why Submit is disabled
+    document.getElementById('submit-hint').hidden = !submitButton.disabled;
+    
+    // Keep an open error summary in step with the fields as they are fixed
+    if (!document.getElementById('error-summary').hidden) {
+        updateErrorSummary();
+    }
 }
 
-function validateAddressOptional(address) {
-    if (!address) return true; // Optional
-    return address.length >= 2 && address.length <= 30;
-}
+// Rebuild the error summary: one link per invalid field, in form order
+function updateErrorSummary() {
+    const summary = document.getElementById('error-summary');
+    const list = document.getElementById('error-summary-list');
+    const invalidFields = FORM_FIELDS.filter(field => formErrors[field.id]);
+
+    list.textContent = '';
+    invalidFields.forEach(field => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '#' + getFocusTarget(field).id;
+        link.textContent = `${getFieldLabel(field)}: ${formErrors[field.id]}`;
+        link.addEventListener('click', function(e) {
+            e.preventDefault();
+            focusField(field);
+        });
+        item.appendChild(link);
+        list.appendChild(item);
+    });
 
-function validateCity(city) {
-    if (!city) return false;
-    return city.length >= 2 && city.length <= 30;
+    summary.hidden = invalidFields.length === 0;
 }
 
-function validateState(state) {
-    return state !== '' && state !== null;
+// Show the error summary, announce how many fields need fixing and move focus to the first one
+function reportFormErrors() {
+    updateErrorSummary();
+    const count = FORM_FIELDS.filter(field => formErrors[field.id]).length;
+    announce(t('errors.count', 'Fields that need to be corrected: {count}', { count: count }));
+    focusFirstInvalidField();
 }
 
-function validateZip(zip) {
-    if (!zip) return false;
-    const pattern = /^\d{5}$/;
-    return pattern.test(zip);
+function hideErrorSummary() {
+    document.getElementById('error-summary').hidden = true;
 }
 
-function validateUserId(userId) {
-    if (!userId) return false;
-    // Must start with letter, 5-20 chars, letters/numbers/dash/underscore only
-    if (userId.length < 5 || userId.length > 20) return false;
-    if (/^\d/.test(userId)) return false; // Can't start with number
-    const pattern = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
-    return pattern.test(userId);
+// Element that receives focus for a field (the checked or first input of a radio/checkbox group, a list's first invalid cell)
+function getFocusTarget(field) {
+    if (field.type === 'list') {
+        return getListFocusTarget(field);
+    }
+    if (field.type === 'radio' || field.type === 'checkbox') {
+        return document.querySelector(`input[name="${field.id}"]:checked`) ||
+            document.querySelector(`input[name="${field.id}"]`);
+    }
+    return document.getElementById(field.id);
 }
 
-function validatePassword(password) {
-    if (!password) return false;
-    
-    // Must be 8+ characters
-    if (password.length < 8) return false;
-    
-    // Must have at least 1 uppercase, 1 lowercase, 1 digit
-    const hasUpper = /[A-Z]/.test(password);
-    const hasLower = /[a-z]/.test(password);
-    const hasDigit = /\d/.test(password);
-    
-    if (!hasUpper || !hasLower || !hasDigit) return false;
-    
-    // Password cannot equal user ID
-    const userIdField = document.getElementById('userid');
-    if (userIdField && userIdField.value && password.toLowerCase() === userIdField.value.toLowerCase()) {
-        return false;
+// Focus a field, switching to its step first in step-by-step mode
+function focusField(field) {
+    if (wizardEnabled) {
+        showStep(FORM_SECTIONS.findIndex(section => section.id === field.section));
     }
-    
-    return true;
+    getFocusTarget(field).focus();
 }
 
-function validateConfirmPassword(confirmPass) {
-    const password = document.getElementById('password').value;
-    return confirmPass === password && confirmPass !== '';
+function focusFirstInvalidField() {
+    const field = FORM_FIELDS.find(field => formErrors[field.id]);
+    if (field) focusField(field);
 }
 
-function validateRadioGroup(name, errorMessage) {
-    const selected = document.querySelector(`input[name="${name}"]:checked`);
-    const errorSpan = document.getElementById(name + '-error');
-    
-    if (selected) {
-        if (errorSpan) {
-            errorSpan.textContent = '';
-            errorSpan.style.display = 'none';
-        }
-        delete formErrors[name];
-    } else {
-        if (errorSpan) {
-            errorSpan.textContent = errorMessage;
-            errorSpan.style.display = 'block';
-        }
-        formErrors[name] = errorMessage;
-    }
-    
-    checkFormValidity();
+// Read a message out through the polite live region
+function announce(message) {
+    const announcer = document.getElementById('form-announcer');
+    announcer.textContent = '';
+    // Set the text on the next tick so a repeated message is announced again
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
 }
 
-function validatePasswordsMatch(pass1, pass2) {
-    return pass1 === pass2;
-}
-
-function validatePasswordNotUserId(password, userId) {
-    return !password.includes(userId) && !userId.includes(password.substring(0, userId.length));
+function announceFieldError(field) {
+    if (formErrors[field.id]) {
+        announce(`${getFieldLabel(field)}: ${formErrors[field.id]}`);
+    }
 }
 
-// Check overall form validity and enable/disable submit button
-function checkFormValidity() {
-    const submitButton = document.getElementById('submit-button');
-    if (!submitButton) return;
-    
-    // Check if there are any errors
-    const hasErrors = Object.keys(formErrors).length > 0;
-    
-    // Check required fields
-    const requiredFields = [
-        'first-name', 'last-name', 'dob', 'ssn',
-        'address1', 'city', 'state', 'zip', 'email',
-        'userid', 'password', 'confirm-password'
-    ];
-    
-    let allRequiredFilled = true;
-    requiredFields.forEach(fieldId => {
-        const field = document.getElementById(fieldId);
-        if (field && !field.value) {
-            allRequiredFilled = false;
-        }
+// Clear every error and success state (used when the form is reset)
+function clearAllErrors() {
+    FORM_FIELDS.forEach(field => {
+        showSuccess(field.id);
+        const element = document.getElementById(field.id);
+        if (element) element.classList.remove('input-success');
     });
-    
-    // Check radio buttons
-    const genderChecked = document.querySelector('input[name="gender"]:checked');
-    const vaccinatedChecked = document.querySelector('input[name="vaccinated"]:checked');
-    const insuranceChecked = document.querySelector('input[name="insurance"]:checked');
-    
-    if (!genderChecked || !vaccinatedChecked || !insuranceChecked) {
-        allRequiredFilled = false;
-    }
-    
-    // Enable/disable submit button
-    if (!hasErrors && allRequiredFilled) {
-        submitButton.disabled = false;
-        submitButton.style.opacity = '1';
-        submitButton.style.cursor = 'pointer';
-    } else {
-        submitButton.disabled = true;
-        submitButton.style.opacity = '0.5';
-        submitButton.style.cursor = 'not-allowed';
-    }
+    Object.keys(pendingValidations).forEach(cancelAsyncValidation);
+    formErrors = {};
+    formErrorReasons = {};
+    hideErrorSummary();
+    document.getElementById('review-area').style.display = 'none';
+    // Let the reset finish before re-checking the now empty fields
+    setTimeout(checkFormValidity, 0);
 }
 
-// Review display function
+// Review display function. Everything the patient typed is set as text, never parsed as HTML.
 function showReview() {
-    const form = document.getElementById('patient-form');
     const reviewArea = document.getElementById('review-area');
-    reviewArea.innerHTML = '';
+    reviewArea.textContent = '';
 
-    let reviewHTML = '<h3>PLEASE REVIEW THIS INFORMATION</h3>';
+    const content = document.createDocumentFragment();
+    content.appendChild(createTextElement('h3', t('review.heading', 'PLEASE REVIEW THIS INFORMATION')));
     let hasErrors = false;
 
     // Validate all fields first
-    validateAllFields();
-
-    // Personal Information
-    reviewHTML += '<div class="review-block"><h4>Personal Information</h4>';
-    const firstName = form['first-name'].value;
-    const middleInitial = form['middle-initial'].value;
-    const lastName = form['last-name'].value;
-    const fullName = `${firstName} ${middleInitial ? middleInitial + ' ' : ''}${lastName}`;
-    const nameValid = validateFirstName(firstName) && validateMiddleInitial(middleInitial) && validateLastName(lastName);
-    reviewHTML += `<p>Name: ${fullName} <span class="${nameValid ? 'pass' : 'error'}">${nameValid ? 'PASS' : 'ERROR: Invalid name format'}</span></p>`;
-
-    const dob = form['dob'].value;
-    const dobValid = validateDateOfBirth(dob);
-    reviewHTML += `<p>Date of Birth: ${dob} <span class="${dobValid ? 'pass' : 'error'}">${dobValid ? 'PASS' : 'ERROR: Invalid date or out of range'}</span></p>`;
-    reviewHTML += '</div>';
-
-    // Contact Information
-    reviewHTML += '<div class="review-block"><h4>Contact Information</h4>';
-    const email = form['email'].value;
-    const emailValid = validateEmail(email);
-    reviewHTML += `<p>Email: ${email} <span class="${emailValid ? 'pass' : 'error'}">${emailValid ? 'PASS' : 'ERROR: Invalid email format'}</span></p>`;
-
-    const phone = form['phone'].value || '';
-    const phoneValid = !phone || validatePhone(phone);
-    reviewHTML += `<p>Phone: ${phone || 'Not provided'} <span class="${phoneValid ? 'pass' : 'error'}">${phoneValid ? 'PASS' : 'ERROR: Invalid phone format'}</span></p>`;
-    reviewHTML += '</div>';
-
-    // Address Information
-    reviewHTML += '<div class="review-block"><h4>Address Information</h4>';
-    const address1 = form['address1'].value;
-    const address2 = form['address2'].value;
-    const city = form['city'].value;
-    const state = form['state'].value;
-    const zip = form['zip'].value;
-    const addressValid = validateAddress(address1) && (!address2 || validateAddressOptional(address2)) && validateCity(city) && state && validateZip(zip);
-    const fullAddress = `${address1}${address2 ? ', ' + address2 : ''}, ${city}, ${state} ${zip}`;
-    reviewHTML += `<p>Address: ${fullAddress} <span class="${addressValid ? 'pass' : 'error'}">${addressValid ? 'PASS' : 'ERROR: Invalid address or missing required fields'}</span></p>`;
-    reviewHTML += '</div>';
-
-    // Medical History
-    reviewHTML += '<div class="review-block"><h4>Medical History</h4>';
-    const vaccinations = Array.from(form.querySelectorAll('input[name="vaccinations"]:checked')).map(cb => cb.value);
-    reviewHTML += '<p>Vaccinations: ' + (vaccinations.length > 0 ? vaccinations.join(', ') : 'None selected') + ' <span class="pass">PASS</span></p>';
-
-    const symptoms = form['symptoms'].value;
-    reviewHTML += `<p>Symptoms: ${symptoms || 'None described'} <span class="pass">PASS</span></p>`;
-    reviewHTML += '</div>';
-
-    // Additional Information
-    reviewHTML += '<div class="review-block"><h4>Additional Information</h4>';
-    const gender = form.querySelector('input[name="gender"]:checked')?.value || '';
-    const vaccinated = form.querySelector('input[name="vaccinated"]:checked')?.value || '';
-    const insurance = form.querySelector('input[name="insurance"]:checked')?.value || '';
-    const healthRating = form['health-rating'].value;
-    reviewHTML += `<p>Gender: ${gender} <span class="${gender ? 'pass' : 'error'}">${gender ? 'PASS' : 'ERROR: Gender not selected'}</span></p>`;
-    reviewHTML += `<p>Vaccinated: ${vaccinated} <span class="${vaccinated ? 'pass' : 'error'}">${vaccinated ? 'PASS' : 'ERROR: Vaccination status not selected'}</span></p>`;
-    reviewHTML += `<p>Insurance: ${insurance} <span class="${insurance ? 'pass' : 'error'}">${insurance ? 'PASS' : 'ERROR: Insurance status not selected'}</span></p>`;
-    reviewHTML += `<p>Health Rating: ${healthRating}/10 <span class="pass">PASS</span></p>`;
-    reviewHTML += '</div>';
-
-    // Account Information
-    reviewHTML += '<div class="review-block"><h4>Account Information</h4>';
-    const userId = form['userid'].value.toLowerCase();
-    const password = form['password'].value;
-    const confirmPassword = form['confirm-password'].value;
-    const userIdValid = validateUserId(userId);
-    const passwordValid = validatePassword(password);
-    const passwordsMatch = validatePasswordsMatch(password, confirmPassword);
-
-    reviewHTML += `<p>User ID: ${userId} <span class="${userIdValid ? 'pass' : 'error'}">${userIdValid ? 'PASS' : 'ERROR: Invalid user ID format'}</span></p>`;
-    reviewHTML += `<p>Password: ${'*'.repeat(password.length)} <span class="${passwordValid && passwordsMatch ? 'pass' : 'error'}">${passwordValid && passwordsMatch ? 'PASS' : 'ERROR: ' + (!passwordValid ? 'Invalid password complexity or password equals user ID' : 'Passwords do not match')}</span></p>`;
-    reviewHTML += '</div>';
-
-    reviewHTML += '<div class="review-buttons"><button type="button" onclick="submitForm()">CONFIRM & SUBMIT</button><button type="button" onclick="clearReview()">EDIT FORM</button></div>';
-
-    reviewArea.innerHTML = reviewHTML;
+    const allValid = validateAllFields();
+    logEvent('review-opened', { errors: Object.keys(formErrors).length });
+
+    if (allValid) {
+        hideErrorSummary();
+    } else if (wizardEnabled) {
+        // In step-by-step mode, take the user back to the first field that needs fixing
+        reviewArea.style.display = 'none';
+        reportFormErrors();
+        return false;
+    }
+
+    FORM_SECTIONS.forEach(section => {
+        // Fields hidden by the form rules are left out
+        const fields = FORM_FIELDS.filter(field => field.section === section.id && isFieldActive(field));
+        if (fields.length === 0) return;
+
+        const block = document.createElement('div');
+        block.className = 'review-block';
+        block.appendChild(createTextElement('h4', getSectionTitle(section)));
+        fields.forEach(field => {
+            const isValid = !formErrors[field.id];
+            if (!isValid) hasErrors = true;
+            const reason = formErrorReasons[field.id];
+            let status = t('review.pass', 'PASS');
+            if (!isValid) {
+                status = reason
+                    ? t('review.errorReason', 'ERROR ({reason}): {message}', { reason: reason, message: formErrors[field.id] })
+                    : t('review.error', 'ERROR: {message}', { message: formErrors[field.id] });
+            }
+            const statusSpan = createTextElement('span', status, isValid ? 'pass' : 'error');
+            const line = document.createElement('p');
+            if (field.type === 'list') {
+                // Lists are shown as a table under their label (see medical-history.js)
+                const list = document.createElement('div');
+                list.className = 'review-list';
+                line.append(getFieldLabel(field) + ': ', statusSpan);
+                list.append(line, renderListReview(field));
+                block.appendChild(list);
+            } else {
+                line.append(getFieldLabel(field) + ': ' + formatReviewValue(field) + ' ', statusSpan);
+                block.appendChild(line);
+            }
+        });
+        content.appendChild(block);
+    });
+
+    content.appendChild(createReviewButtons('review-buttons', [
+        [t('review.confirm', 'CONFIRM & SUBMIT'), submitForm, 'review-submit-button'],
+        [t('review.edit', 'EDIT FORM'), clearReview]
+    ]));
+    content.appendChild(createReviewButtons('summary-buttons', [
+        [t('summary.print', 'PRINT SUMMARY'), printReviewSummary],
+        [t('summary.download', 'DOWNLOAD PDF'), downloadReviewSummary]
+    ]));
+
+    reviewArea.appendChild(content);
     reviewArea.style.display = 'block';
+    document.getElementById('review-submit-button').disabled = submissionInProgress;
 
-    if (!nameValid || !dobValid || !emailValid || !phoneValid || !addressValid || !gender || !vaccinated || !insurance || !userIdValid || !passwordValid || !passwordsMatch) {
-        hasErrors = true;
+    if (hasErrors) {
+        // Send the user to the summary and the first field that needs fixing
+        reportFormErrors();
+    } else {
+        // Scroll to review area
+        reviewArea.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
-    // Scroll to review area
-    reviewArea.scrollIntoView({ behavior: 'smooth', block: 'start' });
-
     return !hasErrors;
 }
 
+// Row of review panel buttons from [text, handler, id] (id is optional)
+function createReviewButtons(className, buttons) {
+    const row = document.createElement('div');
+    row.className = className;
+    buttons.forEach(([text, handler, id]) => {
+        const button = createTextElement('button', text);
+        button.type = 'button';
+        if (id) button.id = id;
+        button.addEventListener('click', handler);
+        row.appendChild(button);
+    });
+    return row;
+}
+
+// Format a field value for the review panel
+function formatReviewValue(field) {
+    let value = getFieldValue(field);
+    if (!value) return field.emptyText ? t(`fields.${field.id}.empty`, field.emptyText) : '';
+    if (field.mask) return '*'.repeat(value.length);
+    if (field.lowercase) value = value.toLowerCase();
+    if (field.type === 'radio' || field.type === 'checkbox' || field.options) {
+        value = value.split(',').map(option => getOptionLabel(field, option)).join(', ');
+    }
+    return value + (field.suffix || '');
+}
+
 // Validate all fields
-function validateAllFields() {
-    validateField('first-name', validateFirstName, 'First name must be 1-30 characters, letters, apostrophes, and dashes only');
-    validateField('middle-initial', validateMiddleInitial, 'Middle initial must be a single letter (optional)');
-    validateField('last-name', validateLastName, 'Last name must be 1-30 characters, letters, apostrophes, and dashes only');
-    validateField('dob', validateDateOfBirth, 'Date must be in MM/DD/YYYY format, not in future, not more than 120 years ago');
-    validateField('ssn', validateSSN, 'SSN must be 9 digits in XXX-XX-XXXX format');
-    validateField('address1', validateAddress, 'Address must be 2-30 characters');
-    validateField('address2', validateAddressOptional, 'Address must be 2-30 characters if entered');
-    validateField('city', validateCity, 'City must be 2-30 characters');
-    validateField('state', validateState, 'Please select a state');
-    validateField('zip', validateZip, 'Zip code must be 5 digits');
-    validateField('email', validateEmail, 'Email must be in format name@domain.tld');
-    validateField('phone', validatePhone, 'Phone must be in format 000-000-0000');
-    validateField('userid', validateUserId, 'User ID must be 5-20 characters, start with letter, no spaces or special characters except dash and underscore');
-    validateField('password', validatePassword, 'Password must be 8+ characters with at least 1 uppercase, 1 lowercase, and 1 digit');
-    validateField('confirm-password', validateConfirmPassword, 'Passwords must match');
-    
-    validateRadioGroup('gender', 'Please select a gender');
-    validateRadioGroup('vaccinated', 'Please select vaccination status');
-    validateRadioGroup('insurance', 'Please select insurance status');
+function validateAllFields(recheck) {
+    return validateFieldList(FORM_FIELDS, recheck);
+}
+
+// Validate a list of schema fields, returning true when every one passes
+function validateFieldList(fields, recheck) {
+    let allValid = true;
+    fields.forEach(field => {
+        if (!validateSchemaField(field, recheck)) allValid = false;
+    });
+    return allValid;
 }
 
 function submitForm() {
     const form = document.getElementById('patient-form');
+    // Already being sent
+    if (submissionInProgress) return;
     
-    // Final validation
-    validateAllFields();
+    // Final validation, asking again the server checks that couldn't be made
+    validateAllFields('submit');
+    logEvent('submit-attempted', { errors: Object.keys(formErrors).length, fields: Object.keys(formErrors) });
     
-    if (Object.keys(formErrors).length === 0) {
+    if (Object.keys(formErrors).length === 0 && !hasPendingValidations()) {
         // Convert user ID to lowercase
         form['userid'].value = form['userid'].value.toLowerCase();
         // Convert email to lowercase
         form['email'].value = form['email'].value.toLowerCase();
-        form.submit();
+        // Send as JSON (see submission.js) so nothing sensitive ends up in the URL
+        submitRegistration().catch(error => console.error('Error submitting registration:', error));
+    } else if (Object.keys(formErrors).length === 0) {
+        // A server check started by the final validation has to answer first; Submit is enabled again when it does
+        announce(t('validation.stillChecking', 'Your answers are still being checked. Please submit again in a moment.'));
     } else {
-        alert('Please correct all errors before submitting.');
+        reportFormErrors();
     }
 }
 
 function clearReview() {
     document.getElementById('review-area').style.display = 'none';
     document.getElementById('review-area').scrollIntoView({ behavior: 'smooth', block: 'start' });
-}
\ No newline at end of file
+}
@@ -0,0 +1,188 @@
+/*
+Program name: wizard.js
+Author: Muhammad Adnan
+Date created: December 10, 2025
+Date last edited: December 22, 2025
+Version: 1.0
+Description: Optional step-by-step (wizard) mode for patient-form with per-step validation and resume
+*/
+
+// Wizard state
+let wizardEnabled = false;
+let currentStep = 0;
+
+// Initialize wizard when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    // The steps are the sections the site configuration leaves on (see form-rules.js)
+    siteConfigReady.then(initializeWizard);
+});
+
+// Refresh the text that isn't marked up with data-i18n
+document.addEventListener('localechange', function() {
+    updateToggleButton();
+    if (wizardEnabled) updateProgressIndicator();
+});
+
+// Build the progress indicator and step navigation, then restore the saved mode and step
+function initializeWizard() {
+    const form = document.getElementById('patient-form');
+    const toggleButton = document.getElementById('wizard-toggle-button');
+    if (!form || !toggleButton) return;
+
+    buildProgressIndicator(form);
+
+    FORM_SECTIONS.forEach((section, index) => {
+        const fieldsets = getStepFieldsets(section.id);
+        if (fieldsets.length === 0) return;
+        fieldsets[fieldsets.length - 1].appendChild(buildStepNavigation(index));
+    });
+
+    toggleButton.addEventListener('click', function() {
+        setWizardMode(!wizardEnabled);
+    });
+
+    // Go back to the first step when the form is cleared
+    form.addEventListener('reset', function() {
+        if (wizardEnabled) showStep(0);
+    });
+
+    // Small screens default to step-by-step mode unless the user chose otherwise
+    const savedMode = localStorage.getItem(storageKey('wizard-mode'));
+    const preferWizard = savedMode ? savedMode === 'on' : window.matchMedia('(max-width: 768px)').matches;
+    if (preferWizard) {
+        const savedStep = parseInt(localStorage.getItem(storageKey('wizard-step')), 10);
+        currentStep = isNaN(savedStep) ? 0 : Math.min(Math.max(savedStep, 0), FORM_SECTIONS.length - 1);
+        setWizardMode(true);
+    }
+}
+
+// Create the step list shown above the form
+function buildProgressIndicator(form) {
+    const progress = document.createElement('div');
+    progress.id = 'wizard-progress';
+    progress.className = 'wizard-progress';
+
+    const stepCount = document.createElement('p');
+    stepCount.id = 'wizard-step-count';
+    progress.appendChild(stepCount);
+
+    const list = document.createElement('ol');
+    FORM_SECTIONS.forEach(section => {
+        const item = document.createElement('li');
+        item.dataset.i18n = 'sections.' + section.id;
+        item.textContent = getSectionTitle(section);
+        list.appendChild(item);
+    });
+    progress.appendChild(list);
+
+    form.insertBefore(progress, form.firstChild);
+}
+
+// Create the Back/Next buttons for a step
+function buildStepNavigation(index) {
+    const nav = document.createElement('div');
+    nav.className = 'wizard-nav';
+
+    if (index > 0) {
+        const backButton = document.createElement('button');
+        backButton.type = 'button';
+        backButton.className = 'wizard-back';
+        backButton.dataset.i18n = 'wizard.back';
+        backButton.textContent = t('wizard.back', 'Back');
+        backButton.addEventListener('click', () => showStep(index - 1));
+        nav.appendChild(backButton);
+    }
+
+    if (index < FORM_SECTIONS.length - 1) {
+        const nextButton = document.createElement('button');
+        nextButton.type = 'button';
+        nextButton.className = 'wizard-next';
+        nextButton.dataset.i18n = 'wizard.next';
+        nextButton.textContent = t('wizard.next', 'Next');
+        nextButton.addEventListener('click', function() {
+            if (validateStep(index)) {
+                showStep(index + 1);
+            }
+        });
+        nav.appendChild(nextButton);
+    }
+
+    return nav;
+}
+
+// Turn step-by-step mode on or off
+function setWizardMode(enabled) {
+    const form = document.getElementById('patient-form');
+
+    wizardEnabled = enabled;
+    form.classList.toggle('wizard-mode', enabled);
+    updateToggleButton();
+    localStorage.setItem(storageKey('wizard-mode'), enabled ? 'on' : 'off');
+
+    if (enabled) {
+        showStep(currentStep);
+    } else {
+        form.querySelectorAll('fieldset[data-section]').forEach(fieldset => {
+            fieldset.classList.remove('wizard-hidden');
+        });
+    }
+}
+
+function updateToggleButton() {
+    document.getElementById('wizard-toggle-button').textContent = wizardEnabled
+        ? t('wizard.showAll', 'Show all sections')
+        : t('wizard.stepByStep', 'Switch to step-by-step view');
+}
+
+// Show a single step and hide the others
+function showStep(index) {
+    const form = document.getElementById('patient-form');
+    const stepSection = FORM_SECTIONS[index].id;
+
+    currentStep = index;
+
+    form.querySelectorAll('fieldset[data-section]').forEach(fieldset => {
+        fieldset.classList.toggle('wizard-hidden', fieldset.dataset.section !== stepSection);
+    });
+
+    // Review and Submit are only offered on the last step
+    form.querySelector('.form-buttons').classList.toggle('wizard-hidden', index !== FORM_SECTIONS.length - 1);
+
+    updateProgressIndicator();
+    saveWizardStep();
+
+    document.getElementById('wizard-progress').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Highlight the current step and mark earlier steps as done
+function updateProgressIndicator() {
+    const items = document.querySelectorAll('#wizard-progress li');
+    items.forEach((item, index) => {
+        item.classList.toggle('current', index === currentStep);
+        item.classList.toggle('complete', index < currentStep);
+    });
+    document.getElementById('wizard-step-count').textContent = t('wizard.stepCount', 'Step {step} of {total}: {title}', {
+        step: currentStep + 1,
+        total: FORM_SECTIONS.length,
+        title: getSectionTitle(FORM_SECTIONS[currentStep])
+    });
+}
+
+// Keep the current step next to the saved field values
+function saveWizardStep() {
+    const rememberMe = document.getElementById('remember-me').checked;
+    if (rememberMe) {
+        localStorage.setItem(storageKey('wizard-step'), currentStep);
+    }
+}
+
+// Run the validators for the fields in one step only
+function validateStep(index) {
+    const stepFields = FORM_FIELDS.filter(field => field.section === FORM_SECTIONS[index].id);
+    return validateFieldList(stepFields);
+}
+
+// All fieldsets that belong to a step
+function getStepFieldsets(sectionId) {
+    return Array.from(document.querySelectorAll(`#patient-form fieldset[data-section="${sectionId}"]`));
+}